@@ -1,54 +1,61 @@
-import React, { useState, useEffect } from "react";
+import React, { useEffect, useState } from "react";
 import { GoogleOAuthProvider } from '@react-oauth/google';
 import Login from './components/Login';
 import Dashboard from './components/Dashboard';
+import LegacyDataPrompt from './components/LegacyDataPrompt';
+import SessionBanner from './components/SessionBanner';
+import SettingsPage from './components/SettingsPage';
+import useRoute, { navigate } from './hooks/useRoute';
+import useSession from './hooks/useSession';
+import useSettings from './hooks/useSettings';
+import useTheme from './hooks/useTheme';
+import { userIdOf } from './services/session';
+import { deleteUserData } from './services/storage';
+import { DASHBOARD_PATH, LOGIN_PATH, loginPath } from './utils/routes';
 
 // Google OAuth client ID provided in .env file
 const GOOGLE_CLIENT_ID = process.env.REACT_APP_GOOGLE_CLIENT_ID;
 
 function App() {
-  const [user, setUser] = useState(null);      // Stores logged-in user info
-  const [loading, setLoading] = useState(true); // Show loader until user restored
+  // Profile restored from localStorage, token from this tab's sessionStorage
+  const session = useSession();
+  const { user } = session;
+  const [theme, setTheme] = useTheme(userIdOf(user)); // Light / dark / system, saved per user
+  const [settings, saveSettings, settingsLoaded] = useSettings(userIdOf(user)); // Backend URL, timeouts, health policy
+  const [signedOutNotice, setSignedOutNotice] = useState(null); // Why the user was signed out automatically
+  const [dataVersion, setDataVersion] = useState(0); // Bumped after importing old data so the dashboard reloads it
+  const route = useRoute();
 
-  // Load existing session from localStorage on first render
+  /* ---------------------------------------------------------
+     Route guards
+     - Signed out: any page redirects to /login?next=<page>
+     - Signed in: /login (and unknown paths) go to `next` or the dashboard
+  --------------------------------------------------------- */
+  const signedIn = Boolean(user);
   useEffect(() => {
-    const savedUser = localStorage.getItem('scraper_user');
-    if (savedUser) {
-      try {
-        setUser(JSON.parse(savedUser));
-      } catch (e) {
-        console.error('Failed to parse saved user', e);
-        localStorage.removeItem('scraper_user');
-      }
+    if (!signedIn && route.name !== 'login') {
+      navigate(loginPath(route.pathname + route.search), { replace: true });
+    } else if (signedIn && (route.name === 'login' || route.name === 'notFound')) {
+      navigate(route.next || DASHBOARD_PATH, { replace: true });
     }
-    setLoading(false);
-  }, []);
+  }, [signedIn, route]);
 
-  // Login callback from child component
-  const handleLogin = (userData) => {
-    setUser(userData);
-    localStorage.setItem('scraper_user', JSON.stringify(userData));
+  const handleLogin = (signIn) => {
+    setSignedOutNotice(null);
+    session.signIn(signIn);
   };
 
-  // Logout removes both user and scraped data
-  const handleLogout = () => {
-    setUser(null);
-    localStorage.removeItem('scraper_user');
-    localStorage.removeItem('scraper_data');
+  // Logout revokes the token; the user's saved data is kept for next time unless they ask to wipe it
+  // reason 'offline': signed out by settings.logoutWhenOffline
+  const handleLogout = ({ wipe = false, reason } = {}) => {
+    setSignedOutNotice(reason === 'offline'
+      ? 'You were signed out because the backend could not be reached. Your data is still saved on this device.'
+      : null);
+    if (wipe) deleteUserData(userIdOf(user)).catch(err => console.error('Failed to wipe saved data', err));
+    session.signOut();
+    navigate(LOGIN_PATH);
   };
 
-  // Loading screen shown on initial load
-  if (loading) {
-    return (
-      <div style={{display:'flex', justifyContent:'center', alignItems:'center', height:'100vh', backgroundColor:'#f5f5f5'}}>
-        <div style={{textAlign:'center'}}>
-          <div style={{fontSize:'48px', marginBottom:'20px'}}>⏳</div>
-          <p>Loading...</p>
-        </div>
-      </div>
-    );
-  }
-
   return (
     <GoogleOAuthProvider clientId={GOOGLE_CLIENT_ID}>
       <div className="app">
@@ -58,12 +65,48 @@ function App() {
           <h1>Web Scraper Portal</h1>
         </header>
 
-        {/* Show login OR dashboard depending on user session */}
+        {/* Login when signed out, otherwise the page for the current route */}
         <main className="main">
           {!user ? (
-            <Login onLogin={handleLogin} />
+            <Login onLogin={handleLogin} notice={signedOutNotice} />
           ) : (
-            <Dashboard user={user} onLogout={handleLogout} />
+            <>
+              <SessionBanner
+                user={user}
+                status={session.status}
+                expiresIn={session.expiresIn}
+                onRenew={session.renew}
+              />
+              <LegacyDataPrompt userId={userIdOf(user)} onImported={() => setDataVersion(v => v + 1)} />
+              {/* Pages talk to the user's backend, so they wait for the saved settings */}
+              {!settingsLoaded && <p className="muted">Loading your settings...</p>}
+              {settingsLoaded && route.name === 'settings' && (
+                <SettingsPage
+                  user={user}
+                  theme={theme}
+                  onThemeChange={setTheme}
+                  settings={settings}
+                  onSaveSettings={saveSettings}
+                  onLogout={handleLogout}
+                />
+              )}
+              {/* One Dashboard for all of these, so switching between them keeps its state */}
+              {settingsLoaded && (route.name === 'dashboard' || route.name === 'site' || route.name === 'jobs') && (
+                <Dashboard
+                  key={dataVersion}
+                  user={user}
+                  routeSite={route.site}
+                  routeCategory={route.category}
+                  jobsView={route.name === 'jobs'}
+                  settings={settings}
+                  sessionStatus={session.status}
+                  onAuthRequired={session.requireAuth}
+                  onLogout={handleLogout}
+                  theme={theme}
+                  onThemeChange={setTheme}
+                />
+              )}
+            </>
           )}
         </main>
 
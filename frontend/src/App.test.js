@@ -0,0 +1,209 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import App from './App';
+import { loadWorkspaces } from './services/storage';
+import { createMockBackend } from './mocks/mockBackend';
+import { TEST_USER, restoreSession, saveUserSettings, settleStorage, setupPortal } from './mocks/testUtils';
+
+let backend;
+
+beforeEach(() => {
+  backend = setupPortal();
+});
+
+afterEach(settleStorage);
+
+/* ---------------------------------------------------------
+   Session restore
+--------------------------------------------------------- */
+describe('session restore', () => {
+  it('shows the login page and keeps the deep link when nobody is signed in', async () => {
+    window.history.replaceState(null, '', '/site/news.example.com');
+    render(<App />);
+
+    expect(screen.getByRole('button', { name: 'Sign in with Google' })).toBeInTheDocument();
+    await waitFor(() => expect(window.location.pathname).toBe('/login'));
+    expect(new URLSearchParams(window.location.search).get('next')).toBe('/site/news.example.com');
+  });
+
+  it('restores the saved profile and token on reload', async () => {
+    restoreSession();
+    render(<App />);
+
+    expect(await screen.findByText(TEST_USER.name)).toBeInTheDocument();
+    expect(screen.getByText(TEST_USER.email)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Sign in with Google' })).not.toBeInTheDocument();
+
+    // The restored token is live; /health pings never carry it
+    expect(screen.queryByText(/Your Google session has expired/)).not.toBeInTheDocument();
+    await waitFor(() => expect(backend.requests.some(r => r.path === '/health')).toBe(true));
+    expect(backend.requests[0].headers.Authorization).toBeUndefined();
+  });
+
+  it('drops an access token saved inside the profile by older versions', async () => {
+    localStorage.setItem('scraper_user', JSON.stringify({ ...TEST_USER, token: 'legacy-token' }));
+    render(<App />);
+
+    expect(await screen.findByText(TEST_USER.name)).toBeInTheDocument();
+    expect(localStorage.getItem('scraper_user')).not.toContain('legacy-token');
+    // Without a token in this tab the session counts as expired
+    expect(screen.getByText(/Your Google session has expired/)).toBeInTheDocument();
+  });
+});
+
+/* ---------------------------------------------------------
+   Data saved before storage was per user
+--------------------------------------------------------- */
+describe('data from older versions', () => {
+  const OLD_SITE = { url: 'https://old.example.com', data: { AI: [] }, websiteSummary: null, createdAt: 1, updatedAt: 1 };
+
+  // The shared database older versions kept, with one saved site
+  const createLegacyDb = () => new Promise((resolve, reject) => {
+    const request = window.indexedDB.open('scraper_portal', 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('workspaces', { keyPath: 'url' });
+      request.result.createObjectStore('meta');
+      request.transaction.objectStore('workspaces').put(OLD_SITE);
+    };
+    request.onsuccess = () => {
+      request.result.close();
+      resolve();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  const databaseNames = async () => (await window.indexedDB.databases()).map(db => db.name);
+  const savedSites = async () => Object.keys(await loadWorkspaces());
+
+  it('gives every account its own database, even on a fresh install', async () => {
+    restoreSession();
+    render(<App />);
+    await screen.findByText(TEST_USER.name);
+
+    await waitFor(async () => expect(await databaseNames()).toEqual([`scraper_portal:${TEST_USER.sub}`]));
+    expect(screen.queryByText(/Data from an earlier version/)).not.toBeInTheDocument();
+  });
+
+  it('imports the shared database only when the user confirms it is theirs', async () => {
+    await createLegacyDb();
+    restoreSession();
+    render(<App />);
+
+    expect(await screen.findByText(/This browser has 1 site saved before/)).toBeInTheDocument();
+    expect(await savedSites()).toEqual([]);
+    // Only read - still at the version it was left at
+    expect((await window.indexedDB.databases()).find(db => db.name === 'scraper_portal').version).toBe(1);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Import into my account' }));
+    // The dashboard reloads and lists the imported site
+    expect(await screen.findByText(OLD_SITE.url)).toBeInTheDocument();
+    expect(screen.queryByText(/Data from an earlier version/)).not.toBeInTheDocument();
+    expect(await savedSites()).toEqual([OLD_SITE.url]);
+    expect(await databaseNames()).not.toContain('scraper_portal');
+  });
+
+  it('deletes the shared database without importing it', async () => {
+    await createLegacyDb();
+    restoreSession();
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+    render(<App />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Delete it' }));
+    await waitFor(async () => expect(await databaseNames()).not.toContain('scraper_portal'));
+    expect(await savedSites()).toEqual([]);
+    window.confirm.mockRestore();
+  });
+
+  it('clears what a logout left in localStorage without offering "0 sites"', async () => {
+    localStorage.setItem('scraper_last_url', OLD_SITE.url);
+    localStorage.setItem('scraper_website_summary', JSON.stringify({ title: 'Old' }));
+    restoreSession();
+    render(<App />);
+    await screen.findByText(TEST_USER.name);
+
+    await waitFor(() => expect(localStorage.getItem('scraper_last_url')).toBeNull());
+    expect(localStorage.getItem('scraper_website_summary')).toBeNull();
+    expect(screen.queryByText(/Data from an earlier version/)).not.toBeInTheDocument();
+  });
+});
+
+/* ---------------------------------------------------------
+   Settings
+--------------------------------------------------------- */
+describe('settings', () => {
+  it('checks the saved backend, never the build-time one, and opens the form with the saved values', async () => {
+    const saved = createMockBackend({ baseUrl: 'https://saved.example.com' });
+    backend = setupPortal({ fallbackFetch: saved.fetch });
+    await saveUserSettings({ apiUrl: 'https://saved.example.com', requestTimeout: 45 });
+    restoreSession();
+    render(<App />);
+
+    expect(await screen.findByRole('button', { name: /Online/ })).toBeInTheDocument();
+    expect(saved.requests.map(r => r.path)).toEqual(['/health']);
+    expect(backend.requests).toEqual([]);
+
+    fireEvent.click(screen.getByRole('button', { name: '⚙️ Settings' }));
+    expect(await screen.findByLabelText('Scrape timeout')).toHaveValue(45);
+    expect(screen.getByLabelText('Backend URL')).toHaveValue('https://saved.example.com');
+  });
+
+  it('tests an unsaved backend URL without sending the Google token', async () => {
+    const other = createMockBackend({ baseUrl: 'https://other.example.com' });
+    backend = setupPortal({ path: '/settings', fallbackFetch: other.fetch });
+    restoreSession();
+    render(<App />);
+
+    fireEvent.change(await screen.findByLabelText('Backend URL'), { target: { value: 'https://other.example.com' } });
+    fireEvent.click(screen.getByRole('button', { name: '🔌 Test connection' }));
+
+    expect(await screen.findByText(/https:\/\/other\.example\.com answered in/)).toBeInTheDocument();
+    expect(other.requests.map(r => r.path)).toEqual(['/health']);
+    expect(other.requests[0].headers.Authorization).toBeUndefined();
+  });
+});
+
+/* ---------------------------------------------------------
+   Backend health
+--------------------------------------------------------- */
+describe('backend health checks', () => {
+  const waitForHealthChecks = (count) =>
+    waitFor(() => expect(backend.requests.filter(r => r.path === '/health')).toHaveLength(count));
+
+  // The mount check is the first failure; the badge runs the next ones
+  const failHealthChecks = async (count) => {
+    await screen.findByRole('button', { name: /Degraded/ });
+    for (let i = 2; i <= count; i++) {
+      const badge = screen.queryByRole('button', { name: /Degraded|Offline/ });
+      if (!badge) return;
+      fireEvent.click(badge);
+      await waitForHealthChecks(i);
+    }
+  };
+
+  it('logs out after three failed checks when "log me out when offline" is on', async () => {
+    await saveUserSettings({ logoutWhenOffline: true });
+    restoreSession();
+    backend.setHealthy(false);
+    render(<App />);
+
+    await screen.findByText(TEST_USER.name);
+    await failHealthChecks(3);
+
+    expect(await screen.findByRole('button', { name: 'Sign in with Google' })).toBeInTheDocument();
+    expect(screen.getByText(/signed out because the backend could not be reached/)).toBeInTheDocument();
+    expect(localStorage.getItem('scraper_user')).toBeNull();
+  });
+
+  it('stays signed in and switches to offline mode by default', async () => {
+    restoreSession();
+    backend.setHealthy(false);
+    render(<App />);
+
+    await screen.findByText(TEST_USER.name);
+    await failHealthChecks(3);
+
+    expect(await screen.findByText(/Offline mode:/)).toBeInTheDocument();
+    expect(screen.getByText(TEST_USER.name)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Scrape' })).toBeDisabled();
+  });
+});
@@ -0,0 +1,22 @@
+import React from 'react';
+
+/*
+  Message box in the theme's status colors.
+  variant: 'error' | 'success' | 'warning'
+  Pass `title` and/or `onClose` for a header row with a ✕ button.
+*/
+export default function Alert({ variant = 'error', title, onClose, children }) {
+  return (
+    <div className={`alert alert-${variant}`} role={variant === 'error' ? 'alert' : 'status'}>
+      {(title || onClose) && (
+        <div className="alert-header">
+          <strong>{title}</strong>
+          {onClose && (
+            <button className="alert-close" onClick={onClose} aria-label="Dismiss">✕</button>
+          )}
+        </div>
+      )}
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import DonutChart from './DonutChart';
+import BarChart from './BarChart';
+import ColumnChart from './ColumnChart';
+import { loadSnapshots } from '../services/storage';
+import { FALLBACK_COLOR } from '../utils/categories';
+import { additionsOverTime, categoryBreakdown, keywordFrequency, storyCount, topSources } from '../utils/analytics';
+
+const SITE_KEYWORD_COLOR = '#00AA00';
+
+// Short axis labels: times when every point is on one day, dates otherwise
+function timeLabels(points) {
+  const days = new Set(points.map(p => new Date(p.time).toDateString()));
+  return points.map(p => {
+    const date = new Date(p.time);
+    return days.size > 1
+      ? `${date.getMonth() + 1}/${date.getDate()}`
+      : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  });
+}
+
+function ChartBox({ title, children }) {
+  return (
+    <div style={{background:'var(--color-surface)', border:'1px solid var(--color-border-subtle)', borderRadius:6, padding:12, minWidth:0}}>
+      <strong style={{display:'block', fontSize:14, marginBottom:8}}>{title}</strong>
+      {children}
+    </div>
+  );
+}
+
+/*
+  Insights for the active site: category breakdown, top sources,
+  stories added per refresh and the most frequent title keywords.
+  `data` is the categorized data shown on the dashboard (after rules);
+  `version` changes whenever a snapshot is saved so the timeline reloads;
+  onError(err) reports snapshots that could not be loaded.
+  Totals count distinct stories, like the source and keyword charts; the
+  category bars count a story once in every category it is filed under.
+*/
+export default function AnalyticsPanel({ siteUrl, data, websiteSummary, categoryOrder, categoryColors, version, onError }) {
+  const [open, setOpen] = useState(false);
+  const [categoryChart, setCategoryChart] = useState('donut'); // 'donut' | 'bar'
+  const [scrapeTimes, setScrapeTimes] = useState([]);
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  // Snapshot times mark refreshes, including the ones that found nothing new
+  useEffect(() => {
+    if (!open || !siteUrl) return;
+    let cancelled = false;
+
+    loadSnapshots(siteUrl)
+      .then(list => !cancelled && setScrapeTimes(list.map(s => s.takenAt)))
+      .catch(err => !cancelled && onErrorRef.current(err));
+
+    return () => { cancelled = true; };
+  }, [open, siteUrl, version]);
+
+  const insights = useMemo(() => {
+    if (!open) return null;
+    const additions = additionsOverTime(data, scrapeTimes);
+    const labels = timeLabels(additions);
+    return {
+      categories: categoryBreakdown(data, categoryOrder, categoryColors, FALLBACK_COLOR),
+      sources: topSources(data),
+      additions: additions.map((point, i) => ({
+        label: labels[i],
+        value: point.value,
+        tooltip: `${new Date(point.time).toLocaleString()}: ${point.value} added`
+      })),
+      keywords: keywordFrequency(data, websiteSummary)
+    };
+  }, [open, data, scrapeTimes, websiteSummary, categoryOrder, categoryColors]);
+
+  const total = insights ? storyCount(data) : 0;
+
+  return (
+    <div className="panel">
+      <div style={{display:'flex', justifyContent:'space-between', alignItems:'center'}}>
+        <strong>📈 Insights</strong>
+        <button className="button secondary" onClick={() => setOpen(!open)}>
+          {open ? 'Hide' : 'Show insights'}
+        </button>
+      </div>
+
+      {open && total === 0 && (
+        <p className="muted" style={{marginBottom:0}}>No stories for this site yet.</p>
+      )}
+
+      {open && total > 0 && (
+        <div style={{display:'grid', gridTemplateColumns:'repeat(auto-fit, minmax(320px, 1fr))', gap:12, marginTop:12}}>
+          <ChartBox title="Stories by category">
+            <div style={{display:'flex', gap:6, marginBottom:8}}>
+              {['donut', 'bar'].map(type => (
+                <button
+                  key={type}
+                  className={`button${categoryChart === type ? '' : ' secondary'}`}
+                  style={{padding:'2px 10px', fontSize:12}}
+                  onClick={() => setCategoryChart(type)}
+                  aria-pressed={categoryChart === type}
+                >
+                  {type === 'donut' ? 'Donut' : 'Bars'}
+                </button>
+              ))}
+            </div>
+            {categoryChart === 'donut'
+              ? <DonutChart segments={insights.categories} centerLabel={total} title="Stories by category" />
+              : <BarChart bars={insights.categories} title="Stories by category" />}
+          </ChartBox>
+
+          <ChartBox title="Top sources">
+            {insights.sources.length > 0
+              ? <BarChart bars={insights.sources} title="Top sources" />
+              : <p className="muted">No sources in this site's stories.</p>}
+          </ChartBox>
+
+          <ChartBox title="Stories added per refresh">
+            <div style={{overflowX:'auto'}}>
+              <ColumnChart points={insights.additions} title="Stories added per refresh" />
+            </div>
+            <div className="muted" style={{fontSize:12, marginTop:4}}>
+              {insights.additions.length} scrape{insights.additions.length !== 1 ? 's' : ''} · hover a column for its date
+            </div>
+          </ChartBox>
+
+          <ChartBox title="Keywords in titles">
+            <BarChart
+              bars={insights.keywords.terms.map(term => ({ ...term, color: term.siteKeyword ? SITE_KEYWORD_COLOR : undefined }))}
+              title="Keywords in titles"
+            />
+            <div className="muted" style={{fontSize:12, marginTop:4}}>
+              <span style={{color:SITE_KEYWORD_COLOR}}>■</span> also in the site's meta keywords
+              {insights.keywords.unusedKeywords.length > 0 && (
+                <div>Meta keywords no title mentions: {insights.keywords.unusedKeywords.join(', ')}</div>
+              )}
+            </div>
+          </ChartBox>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+import React from 'react';
+
+const ROW_HEIGHT = 22;
+const LABEL_WIDTH = 140;
+const VALUE_WIDTH = 40;
+const WIDTH = 420;
+
+// Long labels are cut so the bars keep their room
+const clip = (text, max = 22) => (text.length > max ? text.slice(0, max - 1) + '…' : text);
+
+/*
+  Horizontal bar chart - plain SVG, scales to the width of its container.
+  `bars`: [{ label, value, color? }] drawn top to bottom; bars without a
+  color use `color`.
+*/
+export default function BarChart({ bars, color = 'var(--color-primary)', title }) {
+  const max = Math.max(1, ...bars.map(bar => bar.value));
+  const barSpace = WIDTH - LABEL_WIDTH - VALUE_WIDTH;
+  const height = bars.length * ROW_HEIGHT;
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${height}`}
+      width="100%"
+      style={{maxWidth:WIDTH, display:'block'}}
+      role="img"
+      aria-label={title}
+    >
+      <title>{title}</title>
+      {bars.map((bar, i) => {
+        const y = i * ROW_HEIGHT;
+        const width = Math.max(2, (bar.value / max) * barSpace);
+        return (
+          <g key={bar.label}>
+            <title>{`${bar.label}: ${bar.value}`}</title>
+            <text x={LABEL_WIDTH - 6} y={y + 15} textAnchor="end" fontSize="12" fill="var(--color-text-soft)">
+              {clip(bar.label)}
+            </text>
+            <rect x={LABEL_WIDTH} y={y + 4} width={width} height={ROW_HEIGHT - 8} rx="3" fill={bar.color || color} />
+            <text x={LABEL_WIDTH + width + 4} y={y + 15} fontSize="12" fill="var(--color-text-muted)">{bar.value}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
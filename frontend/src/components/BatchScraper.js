@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import useScrapeQueue from '../hooks/useScrapeQueue';
+import { parseUrlList } from '../utils/url';
+
+const STATUS_LABELS = {
+  queued:    { icon: '⏳', label: 'Queued',    color: 'var(--color-text-muted)' },
+  running:   { icon: '🔄', label: 'Running',   color: 'var(--color-primary)' },
+  done:      { icon: '✅', label: 'Done',      color: 'var(--color-success)' },
+  failed:    { icon: '❌', label: 'Failed',    color: 'var(--color-danger)' },
+  cancelled: { icon: '⏹️', label: 'Cancelled', color: 'var(--color-secondary)' }
+};
+
+/*
+  Batch scraping panel: paste many URLs (or upload a .txt/.csv list)
+  and scrape them through a queue with configurable concurrency.
+  scrapeOne(url, signal) does the actual work for one URL; onError shows
+  problems with the uploaded list.
+*/
+export default function BatchScraper({ scrapeOne, disabled, onError }) {
+  const [text, setText] = useState('');
+  const [concurrency, setConcurrency] = useState(2);
+  const { jobs, enqueue, retryFailed, cancelAll, clearFinished } = useScrapeQueue(scrapeOne, concurrency);
+
+  const { urls, rejected } = parseUrlList(text);
+  const count = (status) => jobs.filter(job => job.status === status).length;
+  const active = count('queued') + count('running');
+
+  const handleStart = () => {
+    enqueue(urls);
+    setText('');
+  };
+
+  // Read an uploaded list into the textarea so it can be reviewed first
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const content = await file.text();
+      setText(prev => (prev ? prev + '\n' : '') + content);
+    } catch (err) {
+      // e.g. the file was moved or its permission revoked after picking it
+      console.error('Reading URL list failed', err);
+      onError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div style={{background:'var(--color-surface-muted)', padding:20, borderRadius:8, marginTop:20}}>
+      <strong style={{display:'block', marginBottom:8}}>📋 Batch scrape</strong>
+
+      <textarea
+        rows={4}
+        placeholder="Paste URLs, one per line (or comma separated)"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        style={{width:'100%', padding:'10px', borderRadius:'4px', border:'1px solid var(--color-border)', resize:'vertical'}}
+      />
+
+      {/* Entries that won't be scraped, with the same message the URL input shows */}
+      {rejected.length > 0 && (
+        <div role="status" style={{color:'var(--color-danger)', fontSize:12, marginTop:4}}>
+          Skipping {rejected.length} invalid entr{rejected.length === 1 ? 'y' : 'ies'}:
+          <ul style={{margin:'4px 0 0', paddingLeft:20}}>
+            {rejected.map(({ token, error }, i) => <li key={i}>{token} - {error}</li>)}
+          </ul>
+        </div>
+      )}
+
+      <div style={{display:'flex', alignItems:'center', gap:8, flexWrap:'wrap', marginTop:8}}>
+        <label className="button secondary" style={{display:'inline-block'}}>
+          Upload .txt / .csv
+          <input type="file" accept=".txt,.csv,text/plain,text/csv" onChange={handleFile} style={{display:'none'}} />
+        </label>
+
+        <label htmlFor="batch-concurrency" style={{fontSize:14}}>Concurrency:</label>
+        <select
+          id="batch-concurrency"
+          value={concurrency}
+          onChange={(e) => setConcurrency(Number(e.target.value))}
+          style={{padding:'6px', borderRadius:'4px', border:'1px solid var(--color-border)'}}
+        >
+          {[1, 2, 3, 4, 5].map(n => <option key={n} value={n}>{n}</option>)}
+        </select>
+
+        <button className="button" onClick={handleStart} disabled={disabled || urls.length === 0}>
+          Scrape {urls.length || ''} URL{urls.length === 1 ? '' : 's'}
+        </button>
+        <button className="button secondary" onClick={retryFailed} disabled={disabled || count('failed') + count('cancelled') === 0}>
+          Retry failed
+        </button>
+        <button className="button secondary" onClick={cancelAll} disabled={active === 0}>
+          Cancel all
+        </button>
+        <button className="button secondary" onClick={clearFinished} disabled={jobs.length === active}>
+          Clear finished
+        </button>
+      </div>
+
+      {/* Queue */}
+      {jobs.length > 0 && (
+        <div style={{marginTop:12}}>
+          <div style={{fontSize:13, color:'var(--color-text-muted)', marginBottom:6}}>
+            {count('done')} done · {count('running')} running · {count('queued')} queued · {count('failed')} failed
+          </div>
+          <div style={{background:'var(--color-surface)', border:'1px solid var(--color-border-subtle)', borderRadius:6, maxHeight:260, overflowY:'auto'}}>
+            {jobs.map(job => {
+              const { icon, label, color } = STATUS_LABELS[job.status];
+              return (
+                <div key={job.id} style={{
+                  display:'flex',
+                  justifyContent:'space-between',
+                  gap:12,
+                  padding:'8px 12px',
+                  borderBottom:'1px solid var(--color-border-subtle)',
+                  fontSize:13
+                }}>
+                  <span style={{overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap'}}>{job.url}</span>
+                  <span style={{color, whiteSpace:'nowrap'}}>
+                    {icon} {label}
+                    {job.status === 'done' && (
+                      job.mode === 'merge'
+                        ? ` · ${job.newItems} new of ${job.itemCount}`
+                        : ` · ${job.itemCount} items`
+                    )}
+                    {job.status === 'failed' && ` · ${job.error}`}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import {
+  DEFAULT_CATEGORY_SETTINGS,
+  RULE_FIELDS,
+  STARRED_CATEGORY,
+  RULE_TYPES,
+  isBuiltInCategory,
+  validateRulePattern
+} from '../utils/categories';
+
+const inputStyle = {padding:'6px', borderRadius:'4px', border:'1px solid var(--color-border)'};
+const rowStyle = {display:'flex', alignItems:'center', gap:8, padding:'6px 0', borderBottom:'1px solid var(--color-border-subtle)', flexWrap:'wrap'};
+const iconButton = {background:'transparent', border:'none', cursor:'pointer', padding:'2px 6px'};
+
+// Move list[index] by offset (-1 up, +1 down)
+function move(list, index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= list.length) return list;
+  const next = [...list];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
+
+/*
+  Editor for the category settings used by utils/categories:
+  categories (name, color, order), re-categorisation rules
+  and the manual moves made by dragging stories.
+*/
+export default function CategoryEditor({ settings, onChange, onClose }) {
+  const { categories, rules, overrides } = settings;
+  const [newCategory, setNewCategory] = useState({ name: '', color: '#20c997' });
+  const [newRule, setNewRule] = useState({ field: 'any', type: 'keyword', pattern: '', category: categories[0]?.name || '' });
+
+  const names = categories.map(c => c.name);
+  const overrideCount = Object.keys(overrides).length;
+  const update = (patch) => onChange({ ...settings, ...patch });
+
+  /* ---- Categories ---- */
+
+  const trimmedName = newCategory.name.trim();
+  const nameError = [...names, STARRED_CATEGORY.name].some(n => n.toLowerCase() === trimmedName.toLowerCase())
+    ? 'A category with this name already exists'
+    : null;
+
+  const addCategory = () => {
+    if (!trimmedName || nameError) return;
+    update({ categories: [...categories, { name: trimmedName, color: newCategory.color }] });
+    setNewCategory({ name: '', color: newCategory.color });
+  };
+
+  const setColor = (name, color) => {
+    update({ categories: categories.map(c => (c.name === name ? { ...c, color } : c)) });
+  };
+
+  // Custom categories only; rules and moves that point at it go too
+  const removeCategory = (name) => {
+    if (!window.confirm(`Delete the "${name}" category? Rules and moves into it are removed as well.`)) return;
+    update({
+      categories: categories.filter(c => c.name !== name),
+      rules: rules.filter(rule => rule.category !== name),
+      overrides: Object.fromEntries(Object.entries(overrides).filter(([, category]) => category !== name))
+    });
+  };
+
+  /* ---- Rules ---- */
+
+  const ruleError = newRule.pattern ? validateRulePattern(newRule.type, newRule.pattern) : null;
+  const ruleCategory = names.includes(newRule.category) ? newRule.category : names[0];
+
+  const addRule = () => {
+    if (!newRule.pattern.trim() || ruleError || !ruleCategory) return;
+    update({ rules: [...rules, { ...newRule, id: Date.now(), pattern: newRule.pattern.trim(), category: ruleCategory }] });
+    setNewRule({ ...newRule, pattern: '' });
+  };
+
+  const removeRule = (id) => update({ rules: rules.filter(rule => rule.id !== id) });
+
+  const handleReset = () => {
+    if (window.confirm('Reset categories, rules and manual moves to the defaults?')) {
+      onChange(DEFAULT_CATEGORY_SETTINGS);
+    }
+  };
+
+  return (
+    <div style={{background:'var(--color-surface-muted)', padding:20, borderRadius:8, marginTop:20, border:'1px solid var(--color-border)'}}>
+      <div style={{display:'flex', justifyContent:'space-between', alignItems:'center'}}>
+        <strong>🏷️ Categories & rules</strong>
+        <div style={{display:'flex', gap:8}}>
+          <button className="button secondary" onClick={handleReset}>Reset to defaults</button>
+          <button className="button secondary" onClick={onClose}>Close</button>
+        </div>
+      </div>
+
+      {/* Categories: color + display order */}
+      <h4 style={{marginBottom:4}}>Categories</h4>
+      <div style={{background:'var(--color-surface)', border:'1px solid var(--color-border-subtle)', borderRadius:6, padding:'0 12px'}}>
+        {categories.map((category, i) => (
+          <div key={category.name} style={rowStyle}>
+            <input
+              type="color"
+              value={category.color}
+              onChange={(e) => setColor(category.name, e.target.value)}
+              title="Category color"
+              style={{width:32, height:28, border:'none', background:'transparent', cursor:'pointer'}}
+            />
+            <span style={{flex:1}}>{category.name}</span>
+            <button style={iconButton} onClick={() => update({ categories: move(categories, i, -1) })} disabled={i === 0} title="Move up">▲</button>
+            <button style={iconButton} onClick={() => update({ categories: move(categories, i, 1) })} disabled={i === categories.length - 1} title="Move down">▼</button>
+            {isBuiltInCategory(category.name)
+              ? <span style={{...iconButton, visibility:'hidden'}}>✕</span>
+              : <button style={iconButton} onClick={() => removeCategory(category.name)} title="Delete category">✕</button>}
+          </div>
+        ))}
+      </div>
+
+      <div style={{display:'flex', gap:8, marginTop:8, alignItems:'center', flexWrap:'wrap'}}>
+        <input
+          type="text"
+          placeholder="New category name"
+          value={newCategory.name}
+          onChange={(e) => setNewCategory({ ...newCategory, name: e.target.value })}
+          onKeyPress={(e) => e.key === 'Enter' && addCategory()}
+          style={{...inputStyle, flex:1, minWidth:160}}
+        />
+        <input
+          type="color"
+          value={newCategory.color}
+          onChange={(e) => setNewCategory({ ...newCategory, color: e.target.value })}
+          style={{width:36, height:32, border:'none', background:'transparent', cursor:'pointer'}}
+        />
+        <button className="button" onClick={addCategory} disabled={!trimmedName || Boolean(nameError)}>Add category</button>
+      </div>
+      {trimmedName && nameError && <div style={{fontSize:12, color:'var(--color-danger)', marginTop:4}}>{nameError}</div>}
+
+      {/* Rules: first match wins */}
+      <h4 style={{marginBottom:4}}>Rules</h4>
+      <p style={{fontSize:12, color:'var(--color-text-muted)', margin:'0 0 6px'}}>
+        Rules are checked top to bottom and the first match decides the category.
+        Stories you drag to another category always stay there.
+      </p>
+      <div style={{background:'var(--color-surface)', border:'1px solid var(--color-border-subtle)', borderRadius:6, padding:'0 12px'}}>
+        {rules.length === 0 && <div style={{...rowStyle, color:'var(--color-text-muted)', fontSize:13}}>No rules yet</div>}
+        {rules.map((rule, i) => (
+          <div key={rule.id} style={{...rowStyle, fontSize:13}}>
+            <span style={{flex:1}}>
+              {rule.type === 'domain' ? 'Link' : RULE_FIELDS[rule.field]} · {RULE_TYPES[rule.type]} <code>{rule.pattern}</code> → <strong>{rule.category}</strong>
+            </span>
+            <button style={iconButton} onClick={() => update({ rules: move(rules, i, -1) })} disabled={i === 0} title="Move up">▲</button>
+            <button style={iconButton} onClick={() => update({ rules: move(rules, i, 1) })} disabled={i === rules.length - 1} title="Move down">▼</button>
+            <button style={iconButton} onClick={() => removeRule(rule.id)} title="Delete rule">✕</button>
+          </div>
+        ))}
+      </div>
+
+      <div style={{display:'flex', gap:8, marginTop:8, alignItems:'center', flexWrap:'wrap'}}>
+        <select
+          value={newRule.field}
+          onChange={(e) => setNewRule({ ...newRule, field: e.target.value })}
+          disabled={newRule.type === 'domain'}
+          style={inputStyle}
+        >
+          {Object.entries(RULE_FIELDS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <select value={newRule.type} onChange={(e) => setNewRule({ ...newRule, type: e.target.value })} style={inputStyle}>
+          {Object.entries(RULE_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <input
+          type="text"
+          placeholder={newRule.type === 'domain' ? 'e.g. github.com' : newRule.type === 'regex' ? 'e.g. \\bhiring\\b' : 'e.g. kubernetes'}
+          value={newRule.pattern}
+          onChange={(e) => setNewRule({ ...newRule, pattern: e.target.value })}
+          onKeyPress={(e) => e.key === 'Enter' && addRule()}
+          aria-invalid={Boolean(ruleError)}
+          style={{...inputStyle, flex:1, minWidth:160, border: ruleError ? '1px solid var(--color-danger)' : inputStyle.border}}
+        />
+        <span>→</span>
+        <select value={ruleCategory} onChange={(e) => setNewRule({ ...newRule, category: e.target.value })} style={inputStyle}>
+          {names.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <button className="button" onClick={addRule} disabled={!newRule.pattern.trim() || Boolean(ruleError)}>Add rule</button>
+      </div>
+      {newRule.type === 'domain' && (
+        <div style={{fontSize:12, color:'var(--color-text-muted)', marginTop:4}}>Domain rules match the story link's host, including subdomains.</div>
+      )}
+      {ruleError && <div style={{fontSize:12, color:'var(--color-danger)', marginTop:4}}>{ruleError}</div>}
+
+      {/* Manual moves */}
+      <div style={{display:'flex', alignItems:'center', gap:8, marginTop:16, fontSize:13}}>
+        <span>{overrideCount} stor{overrideCount === 1 ? 'y' : 'ies'} moved by hand</span>
+        {overrideCount > 0 && (
+          <button className="button secondary" onClick={() => update({ overrides: {} })}>Undo all moves</button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+import React, { memo, useEffect, useState } from 'react';
+import StoryCard from './StoryCard';
+import { storyKey } from '../utils/mergeStories';
+
+// Stories rendered per page - keeps huge categories cheap to render
+export const PAGE_SIZE = 50;
+
+// Shared fallback so stories without saved state keep the same props between renders
+const EMPTY_STATE = {};
+
+// Keys from story links; repeated links get a suffix so React keys stay unique
+function withKeys(stories) {
+  const seen = new Map();
+  return stories.map(story => {
+    const key = storyKey(story);
+    const count = seen.get(key) || 0;
+    seen.set(key, count + 1);
+    return { story, key, reactKey: count ? `${key}#${count}` : key };
+  });
+}
+
+/*
+  One category: colored header (collapse toggle, open-only link, unread and item counts)
+  and a paginated list of memoised StoryCards.
+  Memoised too, so typing elsewhere on the dashboard doesn't re-render the lists.
+*/
+function CategorySection({
+  category,
+  label,
+  color,
+  stories,
+  totalCount,
+  unread,
+  filtering,
+  collapsed,
+  storyStates,
+  query,
+  acceptsDrop,
+  onToggle,
+  onOpen,
+  onDrop,
+  onUpdateStory,
+  onDragStart,
+  onDragEnd
+}) {
+  const [page, setPage] = useState(0);
+
+  // A new search starts from the first page
+  useEffect(() => setPage(0), [query]);
+
+  const pageCount = Math.max(1, Math.ceil(stories.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1); // list may have shrunk since
+  const pageStories = withKeys(stories.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE));
+
+  return (
+    <div
+      onDragOver={(e) => acceptsDrop && e.preventDefault()}
+      onDrop={(e) => {
+        e.preventDefault();
+        if (acceptsDrop) onDrop(category);
+      }}
+      className="category-section"
+      style={{borderColor:color}}
+    >
+      {/* Category Header - click to collapse/expand */}
+      <div
+        onClick={() => onToggle(category)}
+        role="button"
+        aria-expanded={!collapsed}
+        className="category-header"
+        style={{background:color}}
+      >
+        <strong>{collapsed ? '▸' : '▾'} {label || category}</strong>
+        <div style={{display:'flex', gap:6}}>
+          {onOpen && (
+            <button
+              className="category-count"
+              style={{border:'none', cursor:'pointer', color:'inherit'}}
+              onClick={(e) => {
+                e.stopPropagation();
+                onOpen(category);
+              }}
+              title={`Open only ${label || category} (linkable)`}
+            >
+              ↗
+            </button>
+          )}
+          {unread > 0 && (
+            <span className="category-count" style={{background:'#fff', color, fontWeight:'bold'}}>
+              {unread} unread
+            </span>
+          )}
+          <span className="category-count">
+            {filtering ? `${stories.length} of ${totalCount}` : stories.length} items
+          </span>
+        </div>
+      </div>
+
+      {/* Category Content */}
+      {!collapsed && (
+        <div className="category-body">
+          {pageStories.map(({ story, key, reactKey }, i) => (
+            <StoryCard
+              key={reactKey}
+              story={story}
+              storyKey={key}
+              category={category}
+              state={storyStates[key] || EMPTY_STATE}
+              query={query}
+              isLast={i === pageStories.length - 1}
+              onUpdate={onUpdateStory}
+              onDragStart={onDragStart}
+              onDragEnd={onDragEnd}
+            />
+          ))}
+
+          {/* Pagination */}
+          {pageCount > 1 && (
+            <div className="pagination">
+              <button className="button secondary" onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0}>
+                ‹ Prev
+              </button>
+              <span>
+                {currentPage * PAGE_SIZE + 1}–{Math.min((currentPage + 1) * PAGE_SIZE, stories.length)} of {stories.length}
+              </span>
+              <button className="button secondary" onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount - 1}>
+                Next ›
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default memo(CategorySection);
@@ -0,0 +1,55 @@
+import React from 'react';
+
+const HEIGHT = 140;
+const AXIS_HEIGHT = 18;
+const TOP_MARGIN = 14;
+const COLUMN_WIDTH = 28;
+
+/*
+  Vertical column chart for values over time - plain SVG at a fixed
+  scale (28px per column), so wrap it in a scrolling container.
+  `points`: [{ label, value, tooltip? }] oldest first. Labels are printed
+  under each column, so keep them short (e.g. "14:05").
+*/
+export default function ColumnChart({ points, color = 'var(--color-primary)', title }) {
+  const max = Math.max(1, ...points.map(p => p.value));
+  const plotHeight = HEIGHT - AXIS_HEIGHT - TOP_MARGIN;
+  const width = Math.max(points.length * COLUMN_WIDTH, 120);
+
+  return (
+    <svg
+      viewBox={`0 0 ${width} ${HEIGHT}`}
+      width={width}
+      height={HEIGHT}
+      style={{display:'block'}}
+      role="img"
+      aria-label={title}
+    >
+      <title>{title}</title>
+      <line
+        x1="0"
+        x2={width}
+        y1={HEIGHT - AXIS_HEIGHT}
+        y2={HEIGHT - AXIS_HEIGHT}
+        stroke="var(--color-border)"
+      />
+      {points.map((point, i) => {
+        const x = i * COLUMN_WIDTH;
+        const height = (point.value / max) * plotHeight;
+        const y = HEIGHT - AXIS_HEIGHT - height;
+        return (
+          <g key={i}>
+            <title>{point.tooltip || `${point.label}: ${point.value}`}</title>
+            <rect x={x + 4} y={y} width={COLUMN_WIDTH - 8} height={Math.max(height, 1)} rx="2" fill={color} />
+            <text x={x + COLUMN_WIDTH / 2} y={y - 3} textAnchor="middle" fontSize="10" fill="var(--color-text-muted)">
+              {point.value}
+            </text>
+            <text x={x + COLUMN_WIDTH / 2} y={HEIGHT - 5} textAnchor="middle" fontSize="9" fill="var(--color-text-muted)">
+              {point.label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
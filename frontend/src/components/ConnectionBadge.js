@@ -0,0 +1,46 @@
+import React from 'react';
+
+const STATUS_STYLES = {
+  online:   { color: 'var(--color-success)', label: 'Online' },
+  degraded: { color: '#f9a825', label: 'Degraded' },
+  offline:  { color: 'var(--color-danger)', label: 'Offline' }
+};
+
+/*
+  Backend connection state: colored dot, label and last-checked time.
+  Clicking it runs a health check right away.
+*/
+export default function ConnectionBadge({ status, lastCheckedAt, lastError, onCheck }) {
+  const { color, label } = STATUS_STYLES[status] || STATUS_STYLES.offline;
+
+  const title = [
+    lastCheckedAt ? `Last checked ${new Date(lastCheckedAt).toLocaleTimeString()}` : 'Checking…',
+    lastError,
+    'Click to check now'
+  ].filter(Boolean).join('\n');
+
+  return (
+    <button
+      onClick={onCheck}
+      title={title}
+      style={{
+        display:'flex',
+        alignItems:'center',
+        gap:6,
+        background:'var(--color-surface)',
+        border:`1px solid ${color}`,
+        color,
+        borderRadius:'12px',
+        padding:'4px 10px',
+        fontSize:'13px',
+        cursor:'pointer'
+      }}
+    >
+      <span style={{width:8, height:8, borderRadius:4, background:color, display:'inline-block'}}></span>
+      <strong>{label}</strong>
+      {lastCheckedAt && (
+        <span style={{color:'var(--color-text-muted)'}}>· {new Date(lastCheckedAt).toLocaleTimeString()}</span>
+      )}
+    </button>
+  );
+}
@@ -1,102 +1,313 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import SiteSidebar from './SiteSidebar';
+import Toolbar from './Toolbar';
+import ThemeSwitch from './ThemeSwitch';
+import Alert from './Alert';
+import SummaryCard from './SummaryCard';
+import ExportMenu from './ExportMenu';
+import ImportMenu from './ImportMenu';
+import LogoutMenu from './LogoutMenu';
+import FilterBar from './FilterBar';
+import ConnectionBadge from './ConnectionBadge';
+import BatchScraper from './BatchScraper';
+import SnapshotDiff from './SnapshotDiff';
+import AnalyticsPanel from './AnalyticsPanel';
+import CategoryEditor from './CategoryEditor';
+import CategorySection from './CategorySection';
+import WatchlistPanel from './WatchlistPanel';
+import JobsView from './JobsView';
+import { mergeStories, stampAddedAt, storyKey } from '../utils/mergeStories';
+import { normalizeUrl, parseScrapeUrl } from '../utils/url';
+import { markNew, countNew, clearNew } from '../utils/newItems';
+import { notify, requestNotificationPermission } from '../utils/notifications';
+import useAutoRefresh from '../hooks/useAutoRefresh';
+import useConnectionStatus from '../hooks/useConnectionStatus';
+import useStoryStates from '../hooks/useStoryStates';
+import useWatchlists from '../hooks/useWatchlists';
+import useJobApplications from '../hooks/useJobApplications';
+import { navigate } from '../hooks/useRoute';
+import { DASHBOARD_PATH, JOBS_PATH, SETTINGS_PATH, findSiteBySlug, sitePath } from '../utils/routes';
+import {
+  DEFAULT_CATEGORY_SETTINGS,
+  FALLBACK_COLOR,
+  STARRED_CATEGORY,
+  categorize,
+  categoryColorMap,
+  normalizeCategorySettings,
+  orderedCategories
+} from '../utils/categories';
+import {
+  applyFilters,
+  collectSources,
+  filtersFromSearch,
+  filtersToSearch,
+  hasActiveFilters
+} from '../utils/storyFilters';
+import {
+  loadWorkspaces,
+  saveWorkspace,
+  deleteWorkspace,
+  clearWorkspaces,
+  getMeta,
+  setMeta,
+  deleteMeta,
+  saveSnapshot,
+  deleteSnapshots,
+  clearSnapshots
+} from '../services/storage';
+import { scrape, AuthError, CancelledError } from '../services/apiClient';
 
-export default function Dashboard({ user, onLogout }) {
+const OFFLINE_MESSAGE = 'The backend is unreachable. Scraping is disabled until the connection is restored.';
+
+// Auto-refresh choices offered per site (minutes, 0 = off)
+const AUTO_REFRESH_OPTIONS = [0, 5, 15, 30, 60];
+
+/*
+  Scrape an already formatted URL and split the response into
+  the website summary and the categorized stories.
+  Errors are the typed errors from apiClient.
+*/
+async function fetchScrape(formatted, options) {
+  const json = await scrape(formatted, options);
+
+  // Remove website_summary from json to get only categorized data
+  const { website_summary, ...scrapedData } = json;
+
+  // Remember when each story arrived so it can be sorted by time added
+  return { summary: website_summary, categorizedData: stampAddedAt(scrapedData) };
+}
+
+/*
+  routeSite / routeCategory come from /site/:domain[/category/:name]
+  (both null on /dashboard). jobsView is true on /jobs, which shows the
+  job table of every site instead of the active site.
+  `settings` are the user's portal settings (utils/settings.js):
+  message times, health-check policy.
+*/
+export default function Dashboard({
+  user,
+  routeSite,
+  routeCategory,
+  jobsView,
+  settings,
+  sessionStatus,
+  onAuthRequired,
+  onLogout,
+  theme,
+  onThemeChange
+}) {
 
   // State variables
-  const [data, setData] = useState({});          // Stores scraped categorized stories
+  const [workspaces, setWorkspaces] = useState({}); // One workspace per scraped site, keyed by URL
+  const [loaded, setLoaded] = useState(false);      // Saved workspaces have been read
+  const [activeSite, setActiveSite] = useState(''); // URL of the workspace currently shown
   const [url, setUrl] = useState('');            // URL currently typed
   const [loading, setLoading] = useState(false); // Loading state during fetch
   const [error, setError] = useState(null);      // Error message
   const [successMessage, setSuccessMessage] = useState(''); // Success notification
-  const [lastUrl, setLastUrl] = useState('');    // Last scraped URL
   const [activeButton, setActiveButton] = useState(null); // Disable UI spam clicks
-  const [websiteSummary, setWebsiteSummary] = useState(null); // NEW: Store website summary
+  const [importErrors, setImportErrors] = useState([]); // Row-level errors from the last import
+  const [filters, setFilters] = useState(() => filtersFromSearch(window.location.search)); // Search/sort/category filters
+  const [notifyEnabled, setNotifyEnabled] = useState(false); // Browser alerts for auto-refresh finds
+  const [snapshotVersion, setSnapshotVersion] = useState(0); // Bumped when a snapshot is saved
+  const [categorySettings, setCategorySettings] = useState(DEFAULT_CATEGORY_SETTINGS); // Categories, rules, manual moves
+  const [showCategoryEditor, setShowCategoryEditor] = useState(false);
+  const [dragging, setDragging] = useState(null); // { key, category } of the story being dragged
+  const [showArchived, setShowArchived] = useState(false); // Include archived stories in the sections
+  const [collapsed, setCollapsed] = useState({}); // { [category]: true } for collapsed sections
+  const [pendingScrape, setPendingScrape] = useState(null); // { url, isMerge } waiting for re-login after a 401/403
+  const [showWatchlists, setShowWatchlists] = useState(false); // Watchlist hits feed + editor
+
+  // Latest values for timers and background work that outlive a render
+  const workspacesRef = useRef(workspaces);
+  workspacesRef.current = workspaces;
+  const serverHealthyRef = useRef(true);
+  const scrapeControllerRef = useRef(null); // Aborts the scrape in progress
+
+  // Active workspace contents
+  const activeWorkspace = workspaces[activeSite];
+  const rawData = activeWorkspace?.data;                        // Stories as the backend bucketed them
+  const data = useMemo(() => categorize(rawData, categorySettings), [rawData, categorySettings]); // Re-bucketed by the user's rules
+  const websiteSummary = activeWorkspace?.websiteSummary || null; // Website summary card
+  const lastUrl = activeWorkspace ? activeSite : '';            // Last scraped URL
+
+  // Storage failures (e.g. quota exceeded) are shown like any other error
+  const reportStorageError = (err) => {
+    console.error('Storage error', err);
+    setError(`⚠️ ${err.message}`);
+  };
+
+  // Show a site and remember it for the next visit
+  const showSite = (siteUrl) => {
+    setActiveSite(siteUrl);
+    (siteUrl ? setMeta('active_site', siteUrl) : deleteMeta('active_site'))
+      .catch(reportStorageError);
+  };
+
+  // Switch the active site with a new history entry, so back/forward move between sites
+  const selectSite = (siteUrl) => {
+    showSite(siteUrl);
+    navigate((siteUrl ? sitePath(siteUrl) : DASHBOARD_PATH) + window.location.search);
+  };
+
+  // Save one site's workspace and (unless told otherwise) make it the active site
+  const storeWorkspace = (workspace, activate = true) => {
+    workspacesRef.current = { ...workspacesRef.current, [workspace.url]: workspace };
+    setWorkspaces(prev => ({ ...prev, [workspace.url]: workspace }));
+    if (activate) selectSite(workspace.url);
+    saveWorkspace(workspace).catch(reportStorageError);
+  };
+
+  // Starred / read / archived / note per story, keyed by link
+  const { states: storyStates, updateStory, clearAll: clearAllStoryStates } = useStoryStates(reportStorageError);
+
+  // Keyword watchlists and the stories they matched, across all sites
+  const {
+    watchlists,
+    saveWatchlists,
+    hits: watchlistHits,
+    recordHits,
+    markAllSeen: markAllHitsSeen,
+    dismissHit,
+    dismissAll: dismissAllHits,
+    forgetSite: forgetSiteHits
+  } = useWatchlists(reportStorageError);
+
+  // Application pipeline per job link (Jobs view)
+  const {
+    applications,
+    setStage: setApplicationStage,
+    setStageDate: setApplicationStageDate,
+    clearAll: clearAllApplications
+  } = useJobApplications(reportStorageError);
+
+  // Keep what a scrape returned (before merging) so scrapes can be compared later
+  const recordSnapshot = (siteUrl, summary, categorizedData) => {
+    saveSnapshot({ url: siteUrl, takenAt: Date.now(), data: categorizedData, websiteSummary: summary || null })
+      .then(() => setSnapshotVersion(v => v + 1))
+      .catch(reportStorageError);
+  };
 
   /* ---------------------------------------------------------
-     Auto-clear error after 10 seconds
+     Auto-clear error after settings.errorMessageTime seconds (0 = keep)
   --------------------------------------------------------- */
+  const { errorMessageTime, successMessageTime } = settings;
   useEffect(() => {
-    if (error) {
-      const timer = setTimeout(() => setError(null), 10000);
+    if (error && errorMessageTime > 0) {
+      const timer = setTimeout(() => setError(null), errorMessageTime * 1000);
       return () => clearTimeout(timer);
     }
-  }, [error]);
+  }, [error, errorMessageTime]);
 
   /* ---------------------------------------------------------
-     Auto-clear success message after 5 seconds
+     Auto-clear success message after settings.successMessageTime seconds (0 = keep)
   --------------------------------------------------------- */
   useEffect(() => {
-    if (successMessage) {
-      const timer = setTimeout(() => setSuccessMessage(''), 5000);
+    if (successMessage && successMessageTime > 0) {
+      const timer = setTimeout(() => setSuccessMessage(''), successMessageTime * 1000);
       return () => clearTimeout(timer);
     }
-  }, [successMessage]);
+  }, [successMessage, successMessageTime]);
 
   /* ---------------------------------------------------------
-     Load saved data and check backend connection every 30 sec
-     Now also loads website summary from localStorage
-     IMPORTANT: Only logs out if server is completely unreachable
+     Keep filters in the URL query string so views can be bookmarked
   --------------------------------------------------------- */
   useEffect(() => {
-    // Load saved scraped data
-    const savedData = localStorage.getItem('scraper_data');
-    const savedUrl = localStorage.getItem('scraper_last_url');
-    const savedSummary = localStorage.getItem('scraper_website_summary'); // NEW: Load saved summary
-
-    if (savedData) setData(JSON.parse(savedData));
-    if (savedUrl) setLastUrl(savedUrl);
-    if (savedSummary) setWebsiteSummary(JSON.parse(savedSummary)); // NEW: Restore summary
-
-    // Health check function - pings backend to ensure it's running
-    // Only logs out if server is completely down, NOT during normal operations
-    let consecutiveFailures = 0; // Track consecutive failures
-    const MAX_FAILURES = 3; // Allow 3 failures before logging out
-    
-    const checkServerHealth = async () => {
-      try {
-        // Simple health check - just ping the server
-        const backendUrl = (process.env.REACT_APP_API_URL || 'http://localhost:5000') + '/health';
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 5000);
-        
-        const response = await fetch(backendUrl, { 
-          signal: controller.signal,
-          method: 'GET'
-        });
-        
-        clearTimeout(timeoutId);
-        
-        // If server responds (even with error), it's running
-        // Reset failure counter on successful response
-        consecutiveFailures = 0;
-        
-      } catch (err) {
-        // Only count as failure if it's a network error, not just any error
-        if (err.name === 'AbortError' || err.message.includes('fetch')) {
-          consecutiveFailures++;
-          console.warn(`Server health check failed (${consecutiveFailures}/${MAX_FAILURES}):`, err.message);
-          
-          // Only logout after multiple consecutive failures
-          if (consecutiveFailures >= MAX_FAILURES) {
-            console.error('Server appears to be down after multiple checks');
-            onLogout();
-            setError('⚠️ Server connection lost. Please check if the backend is running and log in again.');
-          }
-        } else {
-          // Not a connection error, reset counter
-          consecutiveFailures = 0;
-        }
-      }
-    };
+    const search = filtersToSearch(filters, window.location.search);
+    if (search !== window.location.search) {
+      window.history.replaceState(null, '', window.location.pathname + search + window.location.hash);
+    }
+  }, [filters]);
+
+  /* ---------------------------------------------------------
+     Load saved workspaces from IndexedDB on first render
+  --------------------------------------------------------- */
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all([loadWorkspaces(), getMeta('active_site'), getMeta('notify_new_items'), getMeta('category_settings')])
+      .then(([savedWorkspaces, savedActiveSite, savedNotify, savedCategorySettings]) => {
+        if (cancelled) return;
+        // A scrape may have finished while this was loading - keep its result
+        workspacesRef.current = { ...savedWorkspaces, ...workspacesRef.current };
+        setWorkspaces(prev => ({ ...savedWorkspaces, ...prev }));
+        if (savedActiveSite && savedWorkspaces[savedActiveSite]) setActiveSite(prev => prev || savedActiveSite);
+        setNotifyEnabled(Boolean(savedNotify));
+        setCategorySettings(normalizeCategorySettings(savedCategorySettings));
+      })
+      .catch(err => {
+        console.error('Failed to load saved data', err);
+        if (!cancelled) setError(`⚠️ Could not load saved data: ${err.message}`);
+      })
+      .finally(() => !cancelled && setLoaded(true));
+
+    return () => { cancelled = true; };
+  }, []);
+
+  /* ---------------------------------------------------------
+     Follow the route
+     - /site/:domain shows that site (also on browser back/forward)
+     - /dashboard reopens the last active site
+     - Unknown sites are offered for scraping
+     - /jobs leaves the active site alone
+  --------------------------------------------------------- */
+  const syncRouteRef = useRef(null);
+  syncRouteRef.current = () => {
+    if (jobsView) return;
+    if (!routeSite) {
+      if (activeSite) navigate(sitePath(activeSite) + window.location.search, { replace: true });
+      return;
+    }
+
+    const match = findSiteBySlug(Object.keys(workspacesRef.current), routeSite);
+    if (!match) {
+      setActiveSite('');
+      setUrl(/^https?:\/\//i.test(routeSite) ? routeSite : 'https://' + routeSite);
+      setError(`No saved data for ${routeSite} yet. Press Scrape to fetch it.`);
+      return;
+    }
+
+    if (match !== activeSite) {
+      if (activeSite) markSiteSeen(activeSite);
+      showSite(match);
+      setUrl(match);
+    }
+  };
+  useEffect(() => {
+    if (loaded) syncRouteRef.current();
+  }, [loaded, routeSite, jobsView]);
 
-    // Initial health check
-    checkServerHealth();
-    
-    // Check every 30 seconds
-    const interval = setInterval(checkServerHealth, 30000);
+  /* ---------------------------------------------------------
+     Backend connection status (pinged every settings.healthInterval sec)
+     By default losing the backend doesn't log out: saved data stays browsable
+     and scraping is re-enabled as soon as /health answers again.
+     settings.logoutWhenOffline brings back the old sign-out behaviour.
+  --------------------------------------------------------- */
+  const connection = useConnectionStatus({
+    intervalMs: settings.healthInterval * 1000,
+    maxFailures: settings.maxFailures,
+    backend: settings.apiUrl
+  });
+  const isOffline = connection.status === 'offline';
+  serverHealthyRef.current = connection.status === 'online'; // pauses background auto-refresh
 
-    return () => clearInterval(interval);
-  }, [onLogout]);
+  const onLogoutRef = useRef(onLogout);
+  onLogoutRef.current = onLogout;
+  useEffect(() => {
+    if (isOffline && settings.logoutWhenOffline) {
+      console.warn('Backend offline - logging out');
+      onLogoutRef.current({ reason: 'offline' });
+    }
+  }, [isOffline, settings.logoutWhenOffline]);
+
+  // Tell the user when the connection comes back
+  const previousStatusRef = useRef(connection.status);
+  useEffect(() => {
+    if (previousStatusRef.current === 'offline' && connection.status !== 'offline') {
+      setSuccessMessage('✅ Connection restored. Scraping is available again.');
+    }
+    previousStatusRef.current = connection.status;
+  }, [connection.status]);
 
 
   /* ---------------------------------------------------------
@@ -105,12 +316,17 @@ export default function Dashboard({ user, onLogout }) {
 
   // Basic scrape (fresh) - scrapes a new URL
   const handleScrapeOnly = async () => {
-    if (!url.trim()) return setError('Please enter a valid URL');
+    if (isOffline) return setError(OFFLINE_MESSAGE);
+    const { url: formatted, error: urlError } = parseScrapeUrl(url);
+    if (urlError) return setError(urlError);
     setActiveButton('scrape');
-    await performScrape(url, false);
+    await performScrape(formatted, false);
     setActiveButton(null);
   };
 
+  // Inline validation of the URL being typed
+  const urlCheck = url.trim() ? parseScrapeUrl(url) : {};
+
   // Handle Enter key press in input field
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !loading) {
@@ -118,22 +334,68 @@ export default function Dashboard({ user, onLogout }) {
     }
   };
 
-  // Refresh button - merges new data if same URL, otherwise fresh scrape
+  // Refresh button - merges new data if the site already has a workspace, otherwise fresh scrape
+  // Falls back to the active site when the input is empty
   const handleRefreshOnly = async () => {
-    if (!url.trim()) return setError('Please enter a valid URL to refresh');
+    if (isOffline) return setError(OFFLINE_MESSAGE);
+    const target = url.trim() || activeSite;
+    if (!target) return setError('Please enter a valid URL to refresh');
+    const { url: formatted, error: urlError } = parseScrapeUrl(target);
+    if (urlError) return setError(urlError);
     setActiveButton('refresh');
 
-    let formatted = url.startsWith('http') ? url : 'https://' + url;
-
-    await performScrape(url, lastUrl === formatted);
+    await performScrape(formatted, Boolean(workspaces[formatted]));
     setActiveButton(null);
   };
 
 
+  /* ---------------------------------------------------------
+     Store a scrape response in the site's workspace
+     - Merge mode (site already scraped): adds only unique new items
+     - Fresh mode: replaces this site's workspace, other sites are untouched
+     - Every story in the response is matched against the watchlists
+     - Returns { mode, itemCount, newItems, hits }, or null when the response had no data
+  --------------------------------------------------------- */
+  const applyScrapeResult = (formatted, summary, categorizedData, isMerge, activate = true) => {
+    // Check if categorized data contains anything useful
+    const hasData = Object.values(categorizedData).some(arr => arr?.length > 0);
+    if (!hasData && !summary) return null;
+
+    recordSnapshot(formatted, summary, categorizedData);
+    const hits = recordHits(formatted, categorizedData).length;
+
+    // Read through the ref so back-to-back batch results see each other
+    const existing = workspacesRef.current[formatted];
+    const itemCount = Object.values(categorizedData).reduce((sum, arr) => sum + (arr?.length || 0), 0);
+
+    if (isMerge && existing) {
+      // MERGE MODE: Add only NEW unique items (prevent duplicates)
+      console.log('Merge mode: Checking for new unique items...');
+      const { merged, totalNewItems } = mergeStories(existing.data, categorizedData);
+
+      // Keep the original website summary when merging
+      storeWorkspace({ ...existing, data: merged, updatedAt: Date.now(), lastCheckedAt: Date.now() }, activate);
+      return { mode: 'merge', itemCount, newItems: totalNewItems, hits };
+    }
+
+    // FRESH SCRAPE MODE: Replace this site's workspace
+    console.log('Fresh scrape mode: Replacing site data');
+    storeWorkspace({
+      url: formatted,
+      data: categorizedData,
+      websiteSummary: summary,
+      createdAt: existing?.createdAt || Date.now(),
+      updatedAt: Date.now(),
+      lastCheckedAt: Date.now(),
+      autoRefreshMinutes: existing?.autoRefreshMinutes || 0
+    }, activate);
+    return { mode: 'fresh', itemCount, newItems: itemCount, hits };
+  };
+
   /* ---------------------------------------------------------
      Core scraping function that performs fetch to backend
      - Handles full scrape or merge mode
-     - Now also extracts and saves website summary
+     - Each URL gets its own workspace (categories + website summary)
      - Prevents duplicate entries by checking link URLs
   --------------------------------------------------------- */
   const performScrape = async (urlToScrape, isMerge) => {
@@ -141,149 +403,354 @@ export default function Dashboard({ user, onLogout }) {
     setError(null);
     setSuccessMessage('');
 
+    // New controller per scrape so the Cancel button can abort it
+    const controller = new AbortController();
+    scrapeControllerRef.current = controller;
+
     try {
-      // Format URL with https:// if not present
-      let formatted = urlToScrape.startsWith('http')
-        ? urlToScrape
-        : 'https://' + urlToScrape;
-
-      // Construct backend API URL
-      const backendUrl =
-        (process.env.REACT_APP_API_URL || 'http://localhost:5000')
-        + '/scrape?url='
-        + encodeURIComponent(formatted);
-
-      // Make request to backend
-      const res = await fetch(backendUrl, { timeout: 30000 });
-
-      if (!res.ok) {
-        throw new Error((await res.json()).error || 'Backend error');
-      }
+      // Canonical URL - same site always maps to the same workspace
+      const formatted = normalizeUrl(urlToScrape);
 
-      const json = await res.json();
-
-      // NEW: Extract website summary from response (it comes as first key)
-      const summary = json.website_summary;
-      
-      // Remove website_summary from json to get only categorized data
-      const { website_summary, ...categorizedData } = json;
-
-      // Check if categorized data contains anything useful
-      const hasData = Object.values(categorizedData).some(arr => arr?.length > 0);
-
-      if (hasData || summary) {
-        if (isMerge && lastUrl === formatted) {
-          // MERGE MODE: Add only NEW unique items (prevent duplicates)
-          console.log('Merge mode: Checking for new unique items...');
-          
-          const merged = { ...data };
-          let totalNewItems = 0;
-          
-          Object.keys(categorizedData).forEach(category => {
-            // Get existing items in this category
-            const existingItems = merged[category] || [];
-            const newItems = categorizedData[category] || [];
-            
-            // Create a Set of existing links AND titles to check for duplicates
-            // Check both link and title to be extra safe
-            const existingLinks = new Set(existingItems.map(item => item.link));
-            const existingTitles = new Set(existingItems.map(item => item.title.toLowerCase().trim()));
-            
-            // Filter out duplicates - item must have unique link AND title
-            const uniqueNewItems = newItems.filter(item => {
-              const linkIsUnique = !existingLinks.has(item.link);
-              const titleIsUnique = !existingTitles.has(item.title.toLowerCase().trim());
-              
-              // Only add if BOTH link and title are unique (or if link is # which means no link)
-              return (linkIsUnique && titleIsUnique) || (item.link === '#' && titleIsUnique);
-            });
-            
-            if (uniqueNewItems.length > 0) {
-              console.log(`Category "${category}": Found ${uniqueNewItems.length} new unique items`);
-              totalNewItems += uniqueNewItems.length;
-            }
-            
-            // Merge: existing items + only unique new items
-            merged[category] = [...existingItems, ...uniqueNewItems];
-          });
-          
-          // Update state with merged data
-          setData(merged);
-          localStorage.setItem('scraper_data', JSON.stringify(merged));
-          
-          // Show meaningful feedback to user
-          if (totalNewItems > 0) {
-            setSuccessMessage(`✅ Refresh complete! Added ${totalNewItems} new unique item${totalNewItems > 1 ? 's' : ''}.`);
-            console.log(`Successfully added ${totalNewItems} new items`);
-          } else {
-            setSuccessMessage('ℹ️ No new items found. All content is already up to date!');
-            console.log('No new items - data is current');
-          }
-          
-          // Keep the original website summary when merging
+      const { summary, categorizedData } = await fetchScrape(formatted, { signal: controller.signal });
+      const result = applyScrapeResult(formatted, summary, categorizedData, isMerge);
+      const hitNote = result?.hits > 0 ? ` 👁️ ${result.hits} new watchlist hit${result.hits > 1 ? 's' : ''}.` : '';
+
+      if (!result) {
+        setError('No data found on this URL. Try another website.');
+      } else if (result.mode === 'merge') {
+        // Show meaningful feedback to user
+        const { newItems } = result;
+        if (newItems > 0) {
+          setSuccessMessage(`✅ Refresh complete! Added ${newItems} new unique item${newItems > 1 ? 's' : ''}.${hitNote}`);
+          console.log(`Successfully added ${newItems} new items`);
         } else {
-          // FRESH SCRAPE MODE: Replace all data
-          console.log('Fresh scrape mode: Replacing all data');
-          setData(categorizedData);
-          setWebsiteSummary(summary);
-          setLastUrl(formatted);
-          localStorage.setItem('scraper_data', JSON.stringify(categorizedData));
-          localStorage.setItem('scraper_website_summary', JSON.stringify(summary));
-          
-          const itemCount = Object.values(categorizedData).reduce((sum, arr) => sum + arr.length, 0);
-          setSuccessMessage(`✅ Successfully scraped ${itemCount} items from ${formatted}`);
-          console.log(`Fresh scrape complete: ${itemCount} items`);
+          setSuccessMessage(`ℹ️ No new items found. All content is already up to date!${hitNote}`);
+          console.log('No new items - data is current');
         }
       } else {
-        setError('No data found on this URL. Try another website.');
+        setSuccessMessage(`✅ Successfully scraped ${result.itemCount} items from ${formatted}${hitNote}`);
+        console.log(`Fresh scrape complete: ${result.itemCount} items`);
       }
 
     } catch (err) {
-      console.error(err);
-      setError(`Failed to scrape: ${err.message}`);
+      if (err instanceof CancelledError) {
+        setSuccessMessage('ℹ️ Scrape cancelled.');
+      } else if (err instanceof AuthError) {
+        // Keep the data on screen and retry this scrape once the user has signed in again
+        console.warn('Scrape rejected by the server:', err.message);
+        setPendingScrape({ url: urlToScrape, isMerge });
+        onAuthRequired();
+      } else {
+        console.error(err);
+        setError(`Failed to scrape: ${err.message}`);
+      }
     } finally {
+      scrapeControllerRef.current = null;
       setLoading(false);
     }
   };
 
+  /* ---------------------------------------------------------
+     Batch scraping - one queue job per URL
+     Same normalisation and parsing as performScrape; sites that were
+     scraped before are merged (like Refresh), new ones are fresh scrapes.
+     The active site is left alone so the view doesn't jump around.
+  --------------------------------------------------------- */
+  const scrapeForBatch = async (siteUrl, signal) => {
+    const formatted = normalizeUrl(siteUrl); // invalid URLs fail the job with the validation message
+    let response;
+    try {
+      response = await fetchScrape(formatted, { signal });
+    } catch (err) {
+      if (err instanceof AuthError) onAuthRequired(); // the job fails; retry it after signing in
+      throw err;
+    }
+    const { summary, categorizedData } = response;
+    const result = applyScrapeResult(formatted, summary, categorizedData, true, false);
+    if (!result) throw new Error('No data found on this URL');
+    return result;
+  };
+
+  // Resume the paused scrape once the session has been renewed
+  const resumeRef = useRef(null);
+  resumeRef.current = () => {
+    const pending = pendingScrape;
+    setPendingScrape(null);
+    performScrape(pending.url, pending.isMerge);
+  };
+  const sessionValid = sessionStatus === 'active' || sessionStatus === 'expiring';
+  useEffect(() => {
+    if (sessionValid && pendingScrape && !loading) resumeRef.current();
+  }, [sessionValid, pendingScrape, loading]);
+
+  // Cancel button shown while "Scraping..." is displayed
+  const handleCancelScrape = () => {
+    scrapeControllerRef.current?.abort();
+  };
+
+  // Abort a running scrape when the dashboard unmounts (e.g. logout)
+  useEffect(() => () => scrapeControllerRef.current?.abort(), []);
+
+
+  /* ---------------------------------------------------------
+     AUTO-REFRESH
+     - Each site can have its own interval (autoRefreshMinutes)
+     - Runs merge-mode scrapes in the background while the dashboard is open
+     - New items are flagged until the site has been viewed
+  --------------------------------------------------------- */
+  const backgroundRefresh = async (siteUrl, signal) => {
+    try {
+      const { summary, categorizedData } = await fetchScrape(siteUrl, { signal });
+
+      // Site may have changed or been deleted while the request was running
+      const latest = workspacesRef.current[siteUrl];
+      if (!latest) return;
+
+      recordSnapshot(siteUrl, summary, categorizedData);
+      const hits = recordHits(siteUrl, categorizedData);
+
+      const { merged, totalNewItems } = mergeStories(latest.data, markNew(categorizedData));
+      storeWorkspace({
+        ...latest,
+        data: merged,
+        updatedAt: totalNewItems > 0 ? Date.now() : latest.updatedAt,
+        lastCheckedAt: Date.now(),
+        lastAutoRefreshError: null
+      }, false);
+
+      if (totalNewItems > 0) {
+        console.log(`Auto-refresh: ${totalNewItems} new items for ${siteUrl}`);
+        if (notifyEnabled) {
+          notify('New items found', `${totalNewItems} new item${totalNewItems > 1 ? 's' : ''} on ${siteUrl}`);
+        }
+      }
+      if (hits.length > 0 && notifyEnabled) {
+        notify('Watchlist hits', `${hits.length} new watchlist hit${hits.length > 1 ? 's' : ''} on ${siteUrl}: ${hits[0].story.title}`);
+      }
+    } catch (err) {
+      // Dashboard unmounted (logout, /settings) - nothing left to update
+      if (err instanceof CancelledError) return;
+      console.warn(`Auto-refresh failed for ${siteUrl}:`, err.message);
+      if (err instanceof AuthError) onAuthRequired();
+      const latest = workspacesRef.current[siteUrl];
+      // Wait a full interval before trying this site again
+      if (latest) storeWorkspace({ ...latest, lastCheckedAt: Date.now(), lastAutoRefreshError: err.message }, false);
+    }
+  };
+
+  useAutoRefresh(workspacesRef, serverHealthyRef, backgroundRefresh);
+
+  // Change the active site's auto-refresh interval
+  const handleAutoRefreshChange = (minutes) => {
+    if (!activeWorkspace) return;
+    storeWorkspace({ ...activeWorkspace, autoRefreshMinutes: minutes, lastCheckedAt: Date.now() });
+  };
+
+  // Toggle browser notifications for new items
+  const handleToggleNotify = async () => {
+    const next = !notifyEnabled && await requestNotificationPermission();
+    if (!notifyEnabled && !next) {
+      setError('Browser notifications are blocked or not supported.');
+    }
+    setNotifyEnabled(next);
+    setMeta('notify_new_items', next).catch(reportStorageError);
+  };
+
+  // Clear the "new" flags of a site once it has been viewed
+  const markSiteSeen = (siteUrl) => {
+    const ws = workspacesRef.current[siteUrl];
+    if (ws && countNew(ws.data) > 0) {
+      storeWorkspace({ ...ws, data: clearNew(ws.data) }, false);
+    }
+  };
 
   /* ---------------------------------------------------------
-    Utility to clear all records including website summary
+    Clear one site's workspace, or every workspace when no URL is given
   --------------------------------------------------------- */
-  const handleClearAll = () => {
-    if (window.confirm('Are you sure you want to clear all data?')) {
-      setData({});
-      setLastUrl('');
-      setWebsiteSummary(null); // NEW: Clear website summary
-      localStorage.removeItem('scraper_data');
-      localStorage.removeItem('scraper_website_summary'); // NEW: Remove from storage
+  const handleClearAll = (siteUrl) => {
+    if (siteUrl) {
+      if (!window.confirm(`Delete all data for ${siteUrl}?`)) return;
+
+      const remaining = { ...workspaces };
+      delete remaining[siteUrl];
+      setWorkspaces(remaining);
+      if (siteUrl === activeSite) selectSite('');
+      deleteWorkspace(siteUrl).catch(reportStorageError);
+      deleteSnapshots(siteUrl).catch(reportStorageError);
+      forgetSiteHits(siteUrl);
+      setSuccessMessage(`Data for ${siteUrl} cleared.`);
+      return;
+    }
+
+    if (window.confirm('Are you sure you want to clear data for all sites?')) {
+      setWorkspaces({});
+      selectSite('');
+      clearWorkspaces().catch(reportStorageError);
+      clearSnapshots().catch(reportStorageError);
+      clearAllStoryStates();
+      forgetSiteHits();
+      clearAllApplications();
       setSuccessMessage('All data cleared.');
     }
   };
 
   /* ---------------------------------------------------------
-    Category helpers for UI - colors and ordering
+    Apply an imported file to the active site (or a new workspace)
+    - replace: imported stories become the site's data
+    - merge: only unique stories are added, same rules as Refresh
+  --------------------------------------------------------- */
+  const handleImport = (result, mode) => {
+    setImportErrors(result.errors);
+
+    if (result.storyCount === 0 && !result.websiteSummary) {
+      return setError(`Nothing to import from ${result.fileName}.`);
+    }
+
+    const imported = stampAddedAt(result.data);
+    const sourceUrl = result.sourceUrl && parseScrapeUrl(result.sourceUrl).url;
+    const target = activeSite || sourceUrl || `Imported: ${result.fileName}`;
+    const existing = workspaces[target];
+    const skipped = result.errors.length
+      ? ` (${result.errors.length} row${result.errors.length > 1 ? 's' : ''} skipped)`
+      : '';
+
+    if (mode === 'merge' && existing) {
+      const { merged, totalNewItems } = mergeStories(existing.data, imported);
+      storeWorkspace({
+        ...existing,
+        data: merged,
+        websiteSummary: existing.websiteSummary || result.websiteSummary,
+        updatedAt: Date.now()
+      });
+      setSuccessMessage(`✅ Imported ${totalNewItems} new unique item${totalNewItems !== 1 ? 's' : ''} from ${result.fileName}${skipped}.`);
+    } else {
+      storeWorkspace({
+        url: target,
+        data: imported,
+        websiteSummary: result.websiteSummary || existing?.websiteSummary || null,
+        createdAt: existing?.createdAt || Date.now(),
+        updatedAt: Date.now()
+      });
+      setSuccessMessage(`✅ Imported ${result.storyCount} item${result.storyCount !== 1 ? 's' : ''} from ${result.fileName}${skipped}.`);
+    }
+  };
+
+  // Switch the dashboard to another scraped site
+  // Leaving a site counts as having viewed its new items
+  const handleSelectSite = (siteUrl) => {
+    if (activeSite && activeSite !== siteUrl) markSiteSeen(activeSite);
+    selectSite(siteUrl);
+    setUrl(siteUrl);
+  };
+
+  /* ---------------------------------------------------------
+    Categories - user-editable colors, order, rules and manual moves
   --------------------------------------------------------- */
-  const categoryColors = {
-    Tech: '#FF6600',
-    AI: '#0066FF',
-    Startups: '#FF1493',
-    Tutorials: '#00AA00',
-    OpenSource: '#9900FF',
-    Programming: '#FF9900',
-    Web: '#00CCCC',
-    Security: '#FF0000',
-    Jobs: '#6B48A8',
-    Other: '#666666'
+  const updateCategorySettings = (next) => {
+    setCategorySettings(next);
+    setMeta('category_settings', next).catch(reportStorageError);
   };
 
-  const categoryOrder = [
-    'Jobs','AI','Tech','Startups','Tutorials',
-    'Open Source','Programming','Web','Security','Other'
-  ];
+  // Dropping a story on a category pins it there
+  const moveStory = (key, category) => {
+    setDragging(null);
+    updateCategorySettings({
+      ...categorySettings,
+      overrides: { ...categorySettings.overrides, [key]: category }
+    });
+  };
+
+  // Stable drag & drop callbacks so memoised sections and cards don't re-render
+  const dropRef = useRef(null);
+  dropRef.current = (category) => dragging && moveStory(dragging.key, category);
+  const handleDropStory = useCallback((category) => dropRef.current(category), []);
+  const handleDragStart = useCallback((key, category) => setDragging({ key, category }), []);
+  const handleDragEnd = useCallback(() => setDragging(null), []);
+
+  // Collapse / expand a category section
+  const handleToggleSection = useCallback((category) => {
+    setCollapsed(prev => ({ ...prev, [category]: !prev[category] }));
+  }, []);
+
+  // Open /site/:domain/category/:name for one section
+  const activeSiteRef = useRef(activeSite);
+  activeSiteRef.current = activeSite;
+  const handleOpenSection = useCallback((category) => {
+    navigate(sitePath(activeSiteRef.current, category) + window.location.search);
+  }, []);
+
+  const categoryColors = useMemo(
+    () => ({ ...categoryColorMap(categorySettings), [STARRED_CATEGORY.name]: STARRED_CATEGORY.color }),
+    [categorySettings]
+  );
+  const categoryOrder = useMemo(() => orderedCategories(categorySettings, data), [categorySettings, data]);
 
   // Calculate total number of scraped items
   const totalItems = Object.values(data).reduce((s, arr) => s + (arr?.length || 0), 0);
+  const filtering = hasActiveFilters(filters);
+
+  // Unseen items from auto-refresh
+  const activeNewCount = useMemo(() => countNew(data), [data]);
+  const totalNewCount = useMemo(
+    () => Object.values(workspaces).reduce((sum, ws) => sum + countNew(ws.data), 0),
+    [workspaces]
+  );
+  const sources = useMemo(() => collectSources(data), [data]);
+
+  // Watchlist hits not looked at yet (counter next to the avatar)
+  const unseenHits = useMemo(() => watchlistHits.filter(hit => !hit.seen && !hit.dismissed).length, [watchlistHits]);
+
+  // Closing the feed counts as having seen its hits
+  const toggleWatchlists = () => {
+    if (showWatchlists) markAllHitsSeen();
+    setShowWatchlists(!showWatchlists);
+  };
+
+  /*
+    Per-story work (starred/archived/unread, search, sort) only re-runs when the
+    stories, their state or the filters change - not on every keystroke in the URL input
+  */
+  const { presentCategories, archivedCount, visibleSections } = useMemo(() => {
+    const stateOf = (story) => storyStates[storyKey(story)] || {};
+    const allStories = Object.values(data).flat();
+
+    // "Starred" virtual category: starred stories of this site from every category
+    const starredStories = [
+      ...new Map(
+        allStories
+          .filter(story => stateOf(story).starred)
+          .map(story => [storyKey(story), story])
+      ).values()
+    ];
+    const sectionData = { ...data, [STARRED_CATEGORY.name]: starredStories };
+
+    // Categories that have stories, in display order (used for the filter chips)
+    const present = [STARRED_CATEGORY.name, ...categoryOrder]
+      .filter(category => sectionData[category]?.length > 0);
+
+    // Sections left after hiding categories and applying search/source/sort
+    // (a category route shows that category only)
+    const sections = present
+      .filter(category => (routeCategory ? category === routeCategory : !filters.hidden.includes(category)))
+      .map(category => {
+        const stories = showArchived
+          ? sectionData[category]
+          : sectionData[category].filter(story => !stateOf(story).archived);
+        return {
+          category,
+          totalCount: stories.length,
+          stories: applyFilters(stories, filters),
+          unread: stories.filter(story => !stateOf(story).read).length
+        };
+      })
+      .filter(section => section.stories.length > 0);
+
+    return {
+      presentCategories: present,
+      archivedCount: allStories.filter(story => stateOf(story).archived).length,
+      visibleSections: sections
+    };
+  }, [data, storyStates, categoryOrder, filters, showArchived, routeCategory]);
 
 
   /* ---------------------------------------------------------
@@ -292,423 +759,379 @@ export default function Dashboard({ user, onLogout }) {
   return (
     <div>
       {/* Top bar: user info + actions */}
-      <div style={{display:'flex', justifyContent:'space-between', marginBottom:20}}>
-        <div style={{display:'flex', alignItems:'center', gap:12}}>
-          <img src={user.picture} alt="avatar" style={{width:48,height:48,borderRadius:24}} />
-          <div>
-            <strong>{user.name}</strong><br/>
-            <span style={{fontSize:12,color:'#555'}}>{user.email}</span>
-          </div>
-        </div>
+      <Toolbar
+        start={
+          <>
+            <div className="toolbar-user">
+              <img src={user.picture} alt="avatar" />
+              <div>
+                <strong>{user.name}</strong><br/>
+                <small>{user.email}</small>
+              </div>
+              {/* Unseen watchlist hits - opens the feed */}
+              {unseenHits > 0 && (
+                <button
+                  className="badge badge-watch"
+                  onClick={() => !showWatchlists && toggleWatchlists()}
+                  title="Open the watchlist hits"
+                  aria-label={`${unseenHits} unseen watchlist hit${unseenHits > 1 ? 's' : ''}`}
+                >
+                  👁️ {unseenHits}
+                </button>
+              )}
+            </div>
+            <ConnectionBadge
+              status={connection.status}
+              lastCheckedAt={connection.lastCheckedAt}
+              lastError={connection.lastError}
+              onCheck={connection.checkNow}
+            />
+            {/* Unseen auto-refresh items across all sites */}
+            {totalNewCount > 0 && <span className="badge badge-new">🆕 {totalNewCount} new</span>}
+          </>
+        }
+      >
+        <ImportMenu onImport={handleImport} onError={setError} />
+        <ExportMenu
+          data={data}
+          websiteSummary={websiteSummary}
+          sourceUrl={lastUrl}
+          disabled={totalItems === 0 && !websiteSummary}
+        />
+        <button
+          className="button secondary"
+          onClick={() => setShowCategoryEditor(!showCategoryEditor)}
+          title="Edit categories and re-categorisation rules"
+        >
+          🏷️ Categories
+        </button>
+        <button
+          className="button secondary"
+          onClick={toggleWatchlists}
+          title="Keyword watchlists and their hits on all sites"
+        >
+          👁️ Watchlists
+        </button>
+        <button
+          className="button secondary"
+          onClick={handleToggleNotify}
+          title="Browser notifications when auto-refresh finds new items"
+        >
+          {notifyEnabled ? '🔔 Alerts on' : '🔕 Alerts off'}
+        </button>
+        <ThemeSwitch theme={theme} onChange={onThemeChange} />
+        <button className="button secondary" onClick={() => navigate(JOBS_PATH)}>💼 Jobs</button>
+        <button className="button secondary" onClick={() => navigate(SETTINGS_PATH)}>⚙️ Settings</button>
+        <button className="button secondary" onClick={() => handleClearAll()}>Clear All</button>
+        <button
+          className="button"
+          onClick={handleRefreshOnly}
+          disabled={isOffline}
+          title={isOffline ? OFFLINE_MESSAGE : undefined}
+        >
+          🔄 Refresh
+        </button>
+        <LogoutMenu onLogout={onLogout} />
+      </Toolbar>
 
-        <div style={{display:'flex', gap:8}}>
-          <button className="button secondary" onClick={handleClearAll}>Clear All</button>
-          <button className="button" onClick={handleRefreshOnly}>🔄 Refresh</button>
-          <button className="button secondary" onClick={onLogout}>Logout</button>
-        </div>
-      </div>
+      <div style={{display:'flex', gap:20, alignItems:'flex-start'}}>
+      {/* Site history sidebar */}
+      <SiteSidebar
+        workspaces={workspaces}
+        activeSite={activeSite}
+        onSelect={handleSelectSite}
+        onDelete={handleClearAll}
+      />
 
-      {/* Input section */}
-      <section>
-        <h2 style={{color:'#0d6efd'}}>Web Scraper Portal</h2>
-        <p style={{color:'#666'}}>Enter any website URL to scrape and organize content by categories</p>
-
-        {/* URL input container */}
-        <div style={{background:'#f8f9fa', padding:20, borderRadius:8}}>
-          <div style={{display:'flex', gap:8}}>
-            <input
-              type="text"
-              placeholder="Enter website URL (e.g., github.com, news.ycombinator.com, linkedin.com)"
-              value={url}
-              onChange={(e) => setUrl(e.target.value)}
-              onKeyPress={handleKeyPress}
-              style={{flex:1, padding:'10px', borderRadius:'4px', border:'1px solid #ddd'}}
-            />
-            <button 
-              className="button" 
-              onClick={handleScrapeOnly}
-              disabled={loading || activeButton === 'scrape'}
-            >
-              {loading && activeButton === 'scrape' ? 'Scraping...' : 'Scrape'}
-            </button>
-          </div>
+      {jobsView ? (
+        <section style={{flex:1, minWidth:0}}>
+          <JobsView
+            workspaces={workspaces}
+            categorySettings={categorySettings}
+            applications={applications}
+            onSetStage={setApplicationStage}
+            onSetStageDate={setApplicationStageDate}
+            onOpenSite={handleSelectSite}
+            onBack={() => navigate(activeSite ? sitePath(activeSite) : DASHBOARD_PATH)}
+          />
+        </section>
+      ) : (
+        // Input section + the active site
+        <section style={{flex:1, minWidth:0}}>
+          <h2 style={{color:'var(--color-primary)'}}>Web Scraper Portal</h2>
+          <p style={{color:'var(--color-text-muted)'}}>Enter any website URL to scrape and organize content by categories</p>
 
-          {/* Error box */}
-          {error && (
-            <div style={{
-              color:'#d32f2f', 
-              background:'#ffebee', 
-              padding:'10px', 
-              borderRadius:'4px', 
-              marginTop:'10px',
-              border:'1px solid #ef5350'
-            }}>
-              {error}
+          {/* URL input container */}
+          <div className="panel" style={{marginTop:0}}>
+            <div style={{display:'flex', gap:8}}>
+              <input
+                type="text"
+                placeholder="Enter website URL (e.g., github.com, news.ycombinator.com, linkedin.com)"
+                value={url}
+                onChange={(e) => setUrl(e.target.value)}
+                onKeyPress={handleKeyPress}
+                aria-invalid={Boolean(urlCheck.error)}
+                className="input"
+                style={{flex:1, padding:'10px'}}
+              />
+              <button 
+                className="button" 
+                onClick={handleScrapeOnly}
+                disabled={loading || activeButton === 'scrape' || isOffline || Boolean(urlCheck.error)}
+                title={isOffline ? OFFLINE_MESSAGE : undefined}
+              >
+                {loading && activeButton === 'scrape' ? 'Scraping...' : 'Scrape'}
+              </button>
+              {loading && (
+                <button className="button secondary" onClick={handleCancelScrape}>
+                  Cancel
+                </button>
+              )}
             </div>
-          )}
 
-          {/* Success message */}
-          {successMessage && (
-            <div style={{
-              color:'#2e7d32', 
-              background:'#e8f5e9', 
-              padding:'10px', 
-              borderRadius:'4px', 
-              marginTop:'10px',
-              border:'1px solid #66bb6a'
-            }}>
-              {successMessage}
-            </div>
-          )}
+            {/* Inline URL validation / canonical URL preview */}
+            {urlCheck.error && (
+              <div style={{fontSize:12, color:'var(--color-danger)', marginTop:4}}>{urlCheck.error}</div>
+            )}
+            {urlCheck.url && urlCheck.url !== url.trim() && (
+              <div className="muted" style={{fontSize:12, marginTop:4}}>Will scrape: {urlCheck.url}</div>
+            )}
 
-          <div style={{marginTop:12}}>
-            <strong>Total Items:</strong> {totalItems}
-            {lastUrl && <div><strong>Last URL:</strong> {lastUrl}</div>}
-          </div>
-        </div>
-
-        {/* NEW: Website Summary Card - Shows comprehensive info about the scraped website */}
-        {websiteSummary && (
-          <div style={{
-            background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
-            color: '#fff',
-            padding: '24px',
-            borderRadius: '12px',
-            marginTop: '20px',
-            boxShadow: '0 4px 12px rgba(0,0,0,0.15)'
-          }}>
-            <div style={{display:'flex', alignItems:'center', justifyContent:'space-between', marginBottom:'16px'}}>
-              <div style={{display:'flex', alignItems:'center', gap:'12px'}}>
-                <span style={{fontSize:'32px'}}>🌐</span>
-                <h3 style={{margin:0, fontSize:'24px'}}>Website Information</h3>
-              </div>
-              {/* Favicon display if available */}
-              {websiteSummary.favicon && (
-                <img 
-                  src={websiteSummary.favicon} 
-                  alt="favicon" 
-                  style={{width:'32px', height:'32px', borderRadius:'4px', background:'white', padding:'4px'}}
-                  onError={(e) => e.target.style.display = 'none'}
-                />
+            {/* Offline mode notice */}
+            {isOffline && (
+              <Alert variant="warning">
+                📴 Offline mode: {OFFLINE_MESSAGE} Saved sites can still be browsed, searched and exported.
+              </Alert>
+            )}
+
+            {/* Scrape paused until the user signs in again */}
+            {pendingScrape && (
+              <Alert variant="warning" onClose={() => setPendingScrape(null)}>
+                ⏸️ Scrape of {pendingScrape.url} is paused until you sign in again. It resumes automatically afterwards.
+              </Alert>
+            )}
+
+            {/* Error box */}
+            {error && <Alert variant="error" onClose={() => setError(null)}>{error}</Alert>}
+
+            {/* Import row errors */}
+            {importErrors.length > 0 && (
+              <Alert variant="warning" title="Some rows could not be imported:" onClose={() => setImportErrors([])}>
+                <ul style={{margin:0, paddingLeft:20, maxHeight:160, overflowY:'auto', fontSize:13}}>
+                  {importErrors.map((err, i) => (
+                    <li key={i}>Row {err.row}: {err.message}</li>
+                  ))}
+                </ul>
+              </Alert>
+            )}
+
+            {/* Success message */}
+            {successMessage && <Alert variant="success" onClose={() => setSuccessMessage('')}>{successMessage}</Alert>}
+
+            <div style={{marginTop:12}}>
+              <strong>Total Items:</strong> {totalItems}
+              {lastUrl && <div><strong>Last URL:</strong> {lastUrl}</div>}
+              {activeWorkspace && (
+                <div style={{display:'flex', alignItems:'center', gap:8, marginTop:8, flexWrap:'wrap'}}>
+                  <label htmlFor="auto-refresh"><strong>Auto-refresh:</strong></label>
+                  <select
+                    id="auto-refresh"
+                    value={activeWorkspace.autoRefreshMinutes || 0}
+                    onChange={(e) => handleAutoRefreshChange(Number(e.target.value))}
+                    className="select"
+                    style={{padding:'4px'}}
+                  >
+                    {AUTO_REFRESH_OPTIONS.map(min => (
+                      <option key={min} value={min}>{min === 0 ? 'Off' : `Every ${min} min`}</option>
+                    ))}
+                  </select>
+                  {activeWorkspace.lastCheckedAt && (
+                    <span className="muted" style={{fontSize:12}}>
+                      Last checked {new Date(activeWorkspace.lastCheckedAt).toLocaleTimeString()}
+                    </span>
+                  )}
+                  {activeWorkspace.lastAutoRefreshError && (
+                    <span style={{fontSize:12, color:'var(--color-danger)'}}>
+                      Last auto-refresh failed: {activeWorkspace.lastAutoRefreshError}
+                    </span>
+                  )}
+                  {activeNewCount > 0 && (
+                    <button className="button secondary" onClick={() => markSiteSeen(activeSite)}>
+                      ✓ Mark {activeNewCount} new as seen
+                    </button>
+                  )}
+                </div>
               )}
             </div>
-            
-            {/* Main info grid - 2 columns for better organization */}
-            <div style={{
-              display: 'grid',
-              gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
-              gap: '16px',
-              marginBottom: '16px'
-            }}>
-              {/* Left Column */}
-              <div style={{
-                background: 'rgba(255,255,255,0.1)', 
-                padding: '16px', 
-                borderRadius: '8px',
-                backdropFilter: 'blur(10px)'
-              }}>
-                {/* Website Title */}
-                <div style={{marginBottom:'12px'}}>
-                  <strong style={{fontSize:'14px', display:'block', marginBottom:'4px', opacity:0.9}}>
-                    📌 Title
-                  </strong>
-                  <span style={{fontSize:'16px', fontWeight:'500'}}>{websiteSummary.title}</span>
-                </div>
+          </div>
 
-                {/* Domain */}
-                <div style={{marginBottom:'12px'}}>
-                  <strong style={{fontSize:'14px', display:'block', marginBottom:'4px', opacity:0.9}}>
-                    🔗 Domain
-                  </strong>
-                  <span style={{fontSize:'14px', fontFamily:'monospace'}}>{websiteSummary.domain}</span>
-                </div>
+          {/* Categories & rules editor */}
+          {showCategoryEditor && (
+            <CategoryEditor
+              settings={categorySettings}
+              onChange={updateCategorySettings}
+              onClose={() => setShowCategoryEditor(false)}
+            />
+          )}
 
-                {/* Website Type */}
-                <div style={{marginBottom:'12px'}}>
-                  <strong style={{fontSize:'14px', display:'block', marginBottom:'4px', opacity:0.9}}>
-                    🏷️ Type
-                  </strong>
-                  <span style={{
-                    background: 'rgba(255,255,255,0.25)',
-                    padding: '4px 12px',
-                    borderRadius: '12px',
-                    fontSize: '13px',
-                    display: 'inline-block',
-                    fontWeight: '500'
-                  }}>
-                    {websiteSummary.type}
-                  </span>
-                </div>
+          {/* Watchlist hits feed + watchlist editor */}
+          {showWatchlists && (
+            <WatchlistPanel
+              watchlists={watchlists}
+              hits={watchlistHits}
+              siteUrls={Object.keys(workspaces)}
+              onChangeWatchlists={saveWatchlists}
+              onDismiss={dismissHit}
+              onDismissAll={dismissAllHits}
+              onOpenSite={handleSelectSite}
+              onClose={toggleWatchlists}
+            />
+          )}
 
-                {/* Language */}
-                <div style={{marginBottom:'12px'}}>
-                  <strong style={{fontSize:'14px', display:'block', marginBottom:'4px', opacity:0.9}}>
-                    🌍 Language
-                  </strong>
-                  <span style={{fontSize:'14px'}}>{websiteSummary.language}</span>
-                </div>
+          {/* Batch scraping queue */}
+          <BatchScraper scrapeOne={scrapeForBatch} disabled={isOffline} onError={setError} />
 
-                {/* Site Name */}
-                {websiteSummary.site_name && websiteSummary.site_name !== websiteSummary.domain && (
-                  <div style={{marginBottom:'12px'}}>
-                    <strong style={{fontSize:'14px', display:'block', marginBottom:'4px', opacity:0.9}}>
-                      🌟 Site Name
-                    </strong>
-                    <span style={{fontSize:'14px'}}>{websiteSummary.site_name}</span>
-                  </div>
-                )}
-              </div>
+          {/* Compare scrapes of the active site */}
+          {activeWorkspace && <SnapshotDiff siteUrl={activeSite} version={snapshotVersion} />}
 
-              {/* Right Column */}
-              <div style={{
-                background: 'rgba(255,255,255,0.1)', 
-                padding: '16px', 
-                borderRadius: '8px',
-                backdropFilter: 'blur(10px)'
-              }}>
-                {/* Author */}
-                {websiteSummary.author && websiteSummary.author !== 'Not specified' && (
-                  <div style={{marginBottom:'12px'}}>
-                    <strong style={{fontSize:'14px', display:'block', marginBottom:'4px', opacity:0.9}}>
-                      ✍️ Author
-                    </strong>
-                    <span style={{fontSize:'14px'}}>{websiteSummary.author}</span>
-                  </div>
-                )}
-
-                {/* Publisher */}
-                {websiteSummary.publisher && websiteSummary.publisher !== 'Not specified' && (
-                  <div style={{marginBottom:'12px'}}>
-                    <strong style={{fontSize:'14px', display:'block', marginBottom:'4px', opacity:0.9}}>
-                      📰 Publisher
-                    </strong>
-                    <span style={{fontSize:'14px'}}>{websiteSummary.publisher}</span>
-                  </div>
-                )}
-
-                {/* Theme Color */}
-                {websiteSummary.theme_color && (
-                  <div style={{marginBottom:'12px'}}>
-                    <strong style={{fontSize:'14px', display:'block', marginBottom:'4px', opacity:0.9}}>
-                      🎨 Theme Color
-                    </strong>
-                    <div style={{display:'flex', alignItems:'center', gap:'8px'}}>
-                      <div style={{
-                        width:'24px', 
-                        height:'24px', 
-                        background:websiteSummary.theme_color, 
-                        borderRadius:'4px',
-                        border:'2px solid rgba(255,255,255,0.5)'
-                      }}></div>
-                      <span style={{fontSize:'13px', fontFamily:'monospace'}}>{websiteSummary.theme_color}</span>
-                    </div>
-                  </div>
-                )}
-
-                {/* App Name */}
-                {websiteSummary.app_name && (
-                  <div style={{marginBottom:'12px'}}>
-                    <strong style={{fontSize:'14px', display:'block', marginBottom:'4px', opacity:0.9}}>
-                      📱 App Name
-                    </strong>
-                    <span style={{fontSize:'14px'}}>{websiteSummary.app_name}</span>
-                  </div>
-                )}
-
-                {/* Copyright */}
-                {websiteSummary.copyright && (
-                  <div style={{marginBottom:'12px'}}>
-                    <strong style={{fontSize:'14px', display:'block', marginBottom:'4px', opacity:0.9}}>
-                      ©️ Copyright
-                    </strong>
-                    <span style={{fontSize:'12px', opacity:0.9}}>{websiteSummary.copyright}</span>
-                  </div>
-                )}
-              </div>
+          {/* Charts: categories, sources, additions per refresh, keywords */}
+          {activeWorkspace && (
+            <AnalyticsPanel
+              siteUrl={activeSite}
+              data={data}
+              websiteSummary={websiteSummary}
+              categoryOrder={categoryOrder}
+              categoryColors={categoryColors}
+              version={snapshotVersion}
+              onError={reportStorageError}
+            />
+          )}
+
+          {/* Website Summary Card - Shows comprehensive info about the scraped website */}
+          {websiteSummary && <SummaryCard summary={websiteSummary} />}
+
+          {/* No data state */}
+          {totalItems === 0 && !websiteSummary && (
+            <div className="empty-state">
+              <div style={{fontSize:'48px', marginBottom:'12px'}}>📊</div>
+              <p style={{fontSize:'18px', margin:0}}>No data yet — try scraping a URL above</p>
             </div>
+          )}
 
-            {/* Full-width sections */}
-            <div style={{
-              background: 'rgba(255,255,255,0.1)', 
-              padding: '16px', 
-              borderRadius: '8px',
-              backdropFilter: 'blur(10px)',
-              marginBottom: '12px'
-            }}>
-              {/* Website Description */}
-              <strong style={{fontSize:'14px', display:'block', marginBottom:'8px', opacity:0.9}}>
-                📝 About
-              </strong>
-              <p style={{
-                margin: 0, 
-                fontSize:'14px', 
-                lineHeight:'1.7',
-                background: 'rgba(255,255,255,0.1)',
-                padding: '12px',
-                borderRadius: '6px'
-              }}>
-                {websiteSummary.description}
-              </p>
+          {/* Search, sort and category filters */}
+          {totalItems > 0 && (
+            <FilterBar
+              filters={filters}
+              onChange={setFilters}
+              categories={presentCategories}
+              categoryColors={categoryColors}
+              sources={sources}
+            />
+          )}
+
+          {/* Archived stories are hidden unless asked for */}
+          {archivedCount > 0 && (
+            <div className="muted" style={{display:'flex', alignItems:'center', gap:8, marginTop:12}}>
+              🗄️ {archivedCount} archived stor{archivedCount === 1 ? 'y' : 'ies'}
+              <button className="button secondary" onClick={() => setShowArchived(!showArchived)}>
+                {showArchived ? 'Hide archived' : 'Show archived'}
+              </button>
             </div>
+          )}
 
-            {/* Keywords */}
-            {websiteSummary.keywords && (
-              <div style={{
-                background: 'rgba(255,255,255,0.1)', 
-                padding: '16px', 
-                borderRadius: '8px',
-                backdropFilter: 'blur(10px)',
-                marginBottom: '12px'
-              }}>
-                <strong style={{fontSize:'14px', display:'block', marginBottom:'8px', opacity:0.9}}>
-                  🔑 Keywords
-                </strong>
-                <div style={{display:'flex', flexWrap:'wrap', gap:'6px'}}>
-                  {websiteSummary.keywords.split(',').map((keyword, idx) => (
-                    <span key={idx} style={{
-                      background: 'rgba(255,255,255,0.2)',
-                      padding: '4px 10px',
-                      borderRadius: '12px',
-                      fontSize: '12px'
-                    }}>
-                      {keyword.trim()}
-                    </span>
-                  ))}
+          {/* Category route: back to every category of the site */}
+          {routeCategory && activeSite && (
+            <div style={{display:'flex', alignItems:'center', gap:8, marginTop:12}}>
+              <button className="button secondary" onClick={() => navigate(sitePath(activeSite) + window.location.search)}>
+                ← All categories
+              </button>
+              <strong>{routeCategory}</strong>
+            </div>
+          )}
+
+          {/* Category sections - Display scraped content organized by categories */}
+          {totalItems > 0 && (
+            <div style={{display:'flex', flexDirection:'column', gap:20, marginTop:20}}>
+              {routeCategory && !filtering && visibleSections.length === 0 && (
+                <div className="empty-state" style={{padding:'24px', marginTop:0}}>
+                  No stories in {routeCategory} for this site
                 </div>
-              </div>
-            )}
+              )}
 
-            {/* Featured Image Preview */}
-            {websiteSummary.image && (
-              <div style={{
-                background: 'rgba(255,255,255,0.1)', 
-                padding: '16px', 
-                borderRadius: '8px',
-                backdropFilter: 'blur(10px)'
-              }}>
-                <strong style={{fontSize:'14px', display:'block', marginBottom:'8px', opacity:0.9}}>
-                  🖼️ Featured Image
-                </strong>
-                <img 
-                  src={websiteSummary.image} 
-                  alt="Featured" 
-                  style={{
-                    maxWidth:'100%', 
-                    maxHeight:'200px', 
-                    borderRadius:'6px',
-                    display:'block'
-                  }}
-                  onError={(e) => e.target.parentElement.style.display = 'none'}
-                />
-              </div>
-            )}
-          </div>
-        )}
-
-        {/* No data state */}
-        {totalItems === 0 && !websiteSummary && (
-          <div style={{
-            textAlign:'center', 
-            padding:'40px', 
-            color:'#666',
-            background:'#f8f9fa',
-            borderRadius:'8px',
-            marginTop:'20px'
-          }}>
-            <div style={{fontSize:'48px', marginBottom:'12px'}}>📊</div>
-            <p style={{fontSize:'18px', margin:0}}>No data yet — try scraping a URL above</p>
-          </div>
-        )}
-
-        {/* Category sections - Display scraped content organized by categories */}
-        {totalItems > 0 && (
-          <div style={{display:'flex', flexDirection:'column', gap:20, marginTop:20}}>
-            {categoryOrder.map(category => {
-              const stories = data[category] || [];
-              if (stories.length === 0) return null;
-
-              const color = categoryColors[category];
-              return (
-                <div key={category} style={{
-                  border:`2px solid ${color}`, 
-                  borderRadius:8,
-                  overflow:'hidden',
-                  boxShadow:'0 2px 8px rgba(0,0,0,0.1)'
+              {filtering && visibleSections.length === 0 && (
+                <div className="empty-state" style={{padding:'24px', marginTop:0}}>
+                  No stories match the current filters
+                </div>
+              )}
+
+              {/* Drop targets for every category while a story is dragged */}
+              {dragging && (
+                <div style={{
+                  position:'sticky',
+                  top:0,
+                  zIndex:10,
+                  display:'flex',
+                  gap:6,
+                  flexWrap:'wrap',
+                  alignItems:'center',
+                  background:'var(--color-surface)',
+                  padding:'10px',
+                  borderRadius:'8px',
+                  boxShadow:'var(--shadow-raised)'
                 }}>
-                  {/* Category Header */}
-                  <div style={{
-                    background:color, 
-                    color:'#fff', 
-                    padding:12,
-                    display:'flex',
-                    justifyContent:'space-between',
-                    alignItems:'center'
-                  }}>
-                    <strong style={{fontSize:'18px'}}>{category}</strong>
-                    <span style={{
-                      background:'rgba(255,255,255,0.3)',
-                      padding:'4px 12px',
-                      borderRadius:'12px',
-                      fontSize:'14px'
-                    }}>
-                      {stories.length} items
+                  <strong style={{fontSize:'13px'}}>Move to:</strong>
+                  {categorySettings.categories.filter(c => c.name !== dragging.category).map(({ name, color }) => (
+                    <span
+                      key={name}
+                      onDragOver={(e) => e.preventDefault()}
+                      onDrop={(e) => {
+                        e.preventDefault();
+                        handleDropStory(name);
+                      }}
+                      style={{
+                        background:color,
+                        color:'#fff',
+                        padding:'6px 12px',
+                        borderRadius:'12px',
+                        fontSize:'13px'
+                      }}
+                    >
+                      {name}
                     </span>
-                  </div>
-
-                  {/* Category Content */}
-                  <div style={{padding:12, background:'#fff'}}>
-                    {stories.map((story, i) => (
-                      <div key={i} style={{
-                        marginBottom:12,
-                        paddingBottom:12,
-                        borderBottom: i < stories.length - 1 ? '1px solid #eee' : 'none'
-                      }}>
-                        {/* Story Title (clickable link) */}
-                        <a 
-                          href={story.link} 
-                          target="_blank" 
-                          rel="noreferrer"
-                          style={{
-                            color:'#0d6efd',
-                            textDecoration:'none',
-                            fontSize:'16px',
-                            fontWeight:'500',
-                            display:'block',
-                            marginBottom:'6px'
-                          }}
-                          onMouseOver={(e) => e.target.style.textDecoration = 'underline'}
-                          onMouseOut={(e) => e.target.style.textDecoration = 'none'}
-                        >
-                          {story.title}
-                        </a>
-                        
-                        {/* Source/Company */}
-                        <div style={{fontSize:12, color:'#666', marginBottom:'4px'}}>
-                          📌 Source: {story.company}
-                        </div>
-                        
-                        {/* Snippet/Description */}
-                        {story.snippet && (
-                          <div style={{
-                            fontSize:13, 
-                            color:'#444',
-                            lineHeight:'1.5',
-                            background:'#f8f9fa',
-                            padding:'8px',
-                            borderRadius:'4px'
-                          }}>
-                            {story.snippet}
-                          </div>
-                        )}
-                      </div>
-                    ))}
-                  </div>
+                  ))}
                 </div>
-              );
-            })}
-          </div>
-        )}
-      </section>
+              )}
+
+              {visibleSections.map(({ category, totalCount, stories, unread }) => {
+                const isStarred = category === STARRED_CATEGORY.name;
+                return (
+                  <CategorySection
+                    key={category}
+                    category={category}
+                    label={isStarred ? `★ ${category}` : category}
+                    color={categoryColors[category] || FALLBACK_COLOR}
+                    stories={stories}
+                    totalCount={totalCount}
+                    unread={unread}
+                    filtering={filtering}
+                    collapsed={Boolean(collapsed[category])}
+                    storyStates={storyStates}
+                    query={filters.q}
+                    acceptsDrop={Boolean(dragging) && !isStarred && dragging.category !== category}
+                    onToggle={handleToggleSection}
+                    onOpen={routeCategory ? undefined : handleOpenSection}
+                    onDrop={handleDropStory}
+                    onUpdateStory={updateStory}
+                    onDragStart={handleDragStart}
+                    onDragEnd={handleDragEnd}
+                  />
+                );
+              })}
+            </div>
+          )}
+        </section>
+      )}
+      </div>
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,268 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import App from '../App';
+import * as storage from '../services/storage';
+import { loadJobApplications, loadWorkspaces, loadSnapshots } from '../services/storage';
+import { NEWS_SUMMARY } from '../mocks/fixtures';
+import { restoreSession, settleStorage, setupPortal } from '../mocks/testUtils';
+
+const SITE = 'https://news.example.com';
+const CATEGORIES = ['Jobs', 'AI', 'Tech', 'Startups', 'Tutorials', 'Open Source', 'Programming', 'Web', 'Security', 'Other'];
+
+let backend;
+
+beforeEach(async () => {
+  backend = setupPortal();
+  restoreSession();
+  render(<App />);
+  // Dashboard is up once the first health check has passed
+  await screen.findByRole('button', { name: /Online/ });
+});
+
+afterEach(settleStorage);
+
+const urlInput = () => screen.getByPlaceholderText(/Enter website URL/);
+
+async function scrape(url) {
+  fireEvent.change(urlInput(), { target: { value: url } });
+  fireEvent.click(screen.getByRole('button', { name: 'Scrape' }));
+}
+
+// Website Information card
+const summaryCard = () => within(screen.getByText('Website Information').closest('.summary-card'));
+
+// Header of a category section ("AI", "Open Source", ...) and its item count
+function categoryHeader(name) {
+  return screen.getAllByRole('button', { expanded: true })
+    .find(header => within(header).queryByText(`▾ ${name}`));
+}
+
+describe('fresh scrape', () => {
+  it('shows the website summary and every category', async () => {
+    await scrape('news.example.com');
+
+    expect(await screen.findByText(`✅ Successfully scraped 10 items from ${SITE}`)).toBeInTheDocument();
+    expect(summaryCard().getByText(NEWS_SUMMARY.title)).toBeInTheDocument();
+    expect(summaryCard().getByText(NEWS_SUMMARY.description)).toBeInTheDocument();
+    CATEGORIES.forEach(name => expect(categoryHeader(name)).toBeTruthy());
+    expect(screen.getByText('Popular open source library hits 2.0')).toBeInTheDocument();
+
+    // Canonical URL sent to the backend, with the user's token
+    const request = backend.requests.find(r => r.path === '/scrape');
+    expect(new URL(request.url).searchParams.get('url')).toBe(SITE);
+    expect(request.headers.Authorization).toBe('Bearer test-access-token');
+
+    // Saved as the site's workspace + a snapshot, and linkable
+    await waitFor(async () => expect(Object.keys(await loadWorkspaces())).toEqual([SITE]));
+    expect(await loadSnapshots(SITE)).toHaveLength(1);
+    expect(window.location.pathname).toBe('/site/news.example.com');
+  });
+});
+
+describe('merge mode', () => {
+  it('adds only unique new stories on Refresh', async () => {
+    await scrape('news.example.com');
+    await screen.findByText(`✅ Successfully scraped 10 items from ${SITE}`);
+
+    fireEvent.click(screen.getByRole('button', { name: '🔄 Refresh' }));
+
+    expect(await screen.findByText('✅ Refresh complete! Added 1 new unique item.')).toBeInTheDocument();
+    expect(backend.scrapeCount('news.example.com')).toBe(2);
+    expect(screen.getByText('Small language models on the edge')).toBeInTheDocument();
+    // Same link as a saved story - not added again
+    expect(screen.queryByText('Chip makers race to 2nm (updated)')).not.toBeInTheDocument();
+    expect(within(categoryHeader('AI')).getByText('2 items')).toBeInTheDocument();
+    expect(within(categoryHeader('Tech')).getByText('1 items')).toBeInTheDocument();
+
+    // Refreshing again finds nothing new
+    fireEvent.click(screen.getByRole('button', { name: '🔄 Refresh' }));
+    expect(await screen.findByText('ℹ️ No new items found. All content is already up to date!')).toBeInTheDocument();
+  });
+});
+
+describe('backend errors', () => {
+  it('shows the error message from the JSON body and keeps saved data', async () => {
+    await scrape('news.example.com');
+    await screen.findByText(`✅ Successfully scraped 10 items from ${SITE}`);
+
+    backend.failNextScrape(502, { error: 'Upstream site returned 503' });
+    fireEvent.click(screen.getByRole('button', { name: '🔄 Refresh' }));
+
+    expect(await screen.findByText('Failed to scrape: Upstream site returned 503')).toBeInTheDocument();
+    expect(summaryCard().getByText(NEWS_SUMMARY.title)).toBeInTheDocument();
+    expect(within(categoryHeader('AI')).getByText('1 items')).toBeInTheDocument();
+  });
+
+  it('falls back to the HTTP status when the body has no error field', async () => {
+    backend.failNextScrape(500);
+    await scrape('news.example.com');
+
+    expect(await screen.findByText('Failed to scrape: Server responded with 500')).toBeInTheDocument();
+    expect(screen.getByText('No data yet — try scraping a URL above')).toBeInTheDocument();
+  });
+});
+
+describe('batch scrape', () => {
+  it('validates every pasted entry like the URL input and lists the invalid ones', () => {
+    fireEvent.change(screen.getByPlaceholderText(/Paste URLs/), {
+      target: { value: 'url\nlocalhost:3000\nnews.example.com, https://news.example.com/\nnot a host\nftp://files.example.com' }
+    });
+
+    expect(screen.getByRole('button', { name: 'Scrape 2 URLs' })).toBeEnabled();
+    const skipped = within(screen.getByText(/Skipping 4 invalid entries/));
+    expect(skipped.getByText('not - "not" is not a valid host name')).toBeInTheDocument();
+    expect(skipped.getByText('ftp://files.example.com - "ftp:" URLs can\'t be scraped. Use an http or https address.')).toBeInTheDocument();
+  });
+
+  it('reports a URL list file that cannot be read', async () => {
+    const file = { name: 'urls.txt', text: () => Promise.reject(new Error('File not found')) };
+    fireEvent.change(screen.getByLabelText('Upload .txt / .csv'), { target: { files: [file] } });
+
+    expect(await screen.findByText('Could not read urls.txt: File not found')).toBeInTheDocument();
+    expect(screen.getByPlaceholderText(/Paste URLs/)).toHaveValue('');
+  });
+});
+
+describe('insights', () => {
+  it('charts the categories, sources and stories added per refresh', async () => {
+    await scrape('news.example.com');
+    await screen.findByText(`✅ Successfully scraped 10 items from ${SITE}`);
+    fireEvent.click(screen.getByRole('button', { name: '🔄 Refresh' }));
+    await screen.findByText('✅ Refresh complete! Added 1 new unique item.');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Show insights' }));
+
+    // 11 stories, 2 of them in AI
+    const donut = await screen.findByRole('img', { name: 'Stories by category' });
+    expect(within(donut).getByText('11')).toBeInTheDocument();
+    expect(screen.getByText('2 (18%)')).toBeInTheDocument();
+
+    expect(within(screen.getByRole('img', { name: 'Top sources' })).getByText('AI Weekly')).toBeInTheDocument();
+
+    // First scrape added 10 stories, the refresh 1
+    const timeline = await screen.findByRole('img', { name: 'Stories added per refresh' });
+    await waitFor(() => expect(timeline.querySelectorAll('rect')).toHaveLength(2));
+    expect(within(timeline).getByText('10')).toBeInTheDocument();
+    expect(within(timeline).getByText('1')).toBeInTheDocument();
+
+    // Site meta keywords are marked in the keyword chart
+    const keywords = screen.getByRole('img', { name: 'Keywords in titles' });
+    expect(within(keywords).getByText('open source')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Bars' }));
+    expect(screen.getByRole('img', { name: 'Stories by category' }).querySelectorAll('rect')).toHaveLength(10);
+  });
+
+  it('reports snapshots that could not be loaded', async () => {
+    await scrape('news.example.com');
+    await screen.findByText(`✅ Successfully scraped 10 items from ${SITE}`);
+    jest.spyOn(storage, 'loadSnapshots').mockRejectedValue(new Error('Snapshots are unavailable'));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Show insights' }));
+    expect(await screen.findByText('⚠️ Snapshots are unavailable')).toBeInTheDocument();
+    storage.loadSnapshots.mockRestore();
+  });
+});
+
+describe('watchlists', () => {
+  it('records hits from scrapes, counts unseen ones and highlights the terms', async () => {
+    fireEvent.click(screen.getByRole('button', { name: '👁️ Watchlists' }));
+    fireEvent.change(screen.getByLabelText('Watchlist name'), { target: { value: 'Remote jobs' } });
+    fireEvent.change(screen.getByLabelText('Watch term'), { target: { value: 'remote' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add watchlist' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Close' }));
+
+    await scrape('news.example.com');
+    expect(await screen.findByText(`✅ Successfully scraped 10 items from ${SITE} 👁️ 1 new watchlist hit.`)).toBeInTheDocument();
+
+    // Counter next to the avatar opens the feed
+    fireEvent.click(screen.getByRole('button', { name: '1 unseen watchlist hit' }));
+    const feed = within(screen.getByText('👁️ Watchlist hits').closest('.panel'));
+    expect(feed.getByText('NEW')).toBeInTheDocument();
+    expect(feed.getAllByText(/^remote$/i, { selector: 'mark' }).map(m => m.textContent)).toEqual(['Remote', 'remote']);
+
+    // Closing the feed marks the hits as seen
+    fireEvent.click(feed.getByRole('button', { name: 'Close' }));
+    expect(screen.queryByRole('button', { name: /unseen watchlist hit/ })).not.toBeInTheDocument();
+
+    // The same story is not reported again on Refresh
+    fireEvent.click(screen.getByRole('button', { name: '🔄 Refresh' }));
+    expect(await screen.findByText('✅ Refresh complete! Added 1 new unique item.')).toBeInTheDocument();
+  });
+});
+
+describe('jobs view', () => {
+  it('lists job stories with parsed fields, filters them and tracks applications', async () => {
+    await scrape('news.example.com');
+    await screen.findByText(`✅ Successfully scraped 10 items from ${SITE}`);
+
+    fireEvent.click(screen.getByRole('button', { name: '💼 Jobs' }));
+    expect(window.location.pathname).toBe('/jobs');
+
+    const table = within(await screen.findByRole('table'));
+    const row = within(table.getByText('Senior React Developer (Remote)').closest('tr'));
+    expect(row.getByText('Acme Corp')).toBeInTheDocument();
+    expect(row.getByText('EU')).toBeInTheDocument();
+    expect(row.getByText('✅ Remote')).toBeInTheDocument();
+    expect(row.getByText('Senior')).toBeInTheDocument();
+
+    // Column filters
+    fireEvent.change(screen.getByLabelText('Filter remote'), { target: { value: 'Hybrid' } });
+    expect(table.getByText('No jobs match the filters')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Clear filters' }));
+
+    // Pipeline: saved -> applied, dated and saved per user
+    const status = screen.getByLabelText('Application status for Senior React Developer (Remote)');
+    fireEvent.change(status, { target: { value: 'saved' } });
+    fireEvent.change(status, { target: { value: 'applied' } });
+    expect(screen.getByRole('button', { name: 'Applied 1' })).toBeInTheDocument();
+    expect(screen.getByLabelText('Applied on')).toBeInTheDocument();
+
+    const link = 'https://news.example.com/jobs/react-dev';
+    await waitFor(async () => expect((await loadJobApplications())[link]?.status).toBe('applied'));
+    const saved = (await loadJobApplications())[link];
+    expect(saved.history.map(step => step.status)).toEqual(['saved', 'applied']);
+    expect(saved.job.title).toBe('Senior React Developer (Remote)');
+
+    // Back to the site
+    fireEvent.click(screen.getByRole('button', { name: '← Back to dashboard' }));
+    expect(window.location.pathname).toBe('/site/news.example.com');
+  });
+
+  it('pages through large job lists', async () => {
+    await scrape('jobs.example.com');
+    await screen.findByText('✅ Successfully scraped 60 items from https://jobs.example.com');
+    fireEvent.click(screen.getByRole('button', { name: '💼 Jobs' }));
+
+    // Two header rows (titles + filters) above the jobs
+    const table = within(await screen.findByRole('table'));
+    expect(table.getAllByRole('row')).toHaveLength(2 + 50);
+    expect(table.getAllByText('Berlin, DE')).toHaveLength(50);
+    expect(screen.getByText('1–50 of 60')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Next ›' }));
+    expect(screen.getByText('51–60 of 60')).toBeInTheDocument();
+    expect(table.getAllByRole('row')).toHaveLength(2 + 10);
+
+    // Filtering starts again from the first page: #5 and #50-#59
+    fireEvent.change(screen.getByLabelText('Filter job'), { target: { value: '#5' } });
+    expect(table.getAllByRole('row')).toHaveLength(2 + 11);
+    expect(screen.queryByRole('button', { name: 'Next ›' })).not.toBeInTheDocument();
+  });
+});
+
+describe('website audit', () => {
+  it('scores the metadata and lists a pass/warn/fail line per check', async () => {
+    await scrape('news.example.com');
+    await screen.findByText(`✅ Successfully scraped 10 items from ${SITE}`);
+
+    fireEvent.click(screen.getByRole('button', { name: '🔍 Audit' }));
+    const audit = within(screen.getByLabelText('Metadata audit'));
+    expect(audit.getByText('95%')).toBeInTheDocument();
+    expect(audit.getByText('95% - missing Author')).toBeInTheDocument();
+    expect(audit.getAllByRole('img', { name: 'Pass' })).toHaveLength(7);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Hide audit' }));
+    expect(screen.queryByLabelText('Metadata audit')).not.toBeInTheDocument();
+  });
+});
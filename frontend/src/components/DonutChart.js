@@ -0,0 +1,58 @@
+import React from 'react';
+
+// Radius giving a circumference of 100, so dash lengths are percentages
+const RADIUS = 100 / (2 * Math.PI);
+
+/*
+  Donut chart with a legend - plain SVG, one stroked circle per segment.
+  `segments`: [{ label, value, color }]; `centerLabel` goes in the hole.
+*/
+export default function DonutChart({ segments, centerLabel, size = 160, title }) {
+  const total = segments.reduce((sum, s) => sum + s.value, 0);
+  let offset = 0;
+
+  return (
+    <div style={{display:'flex', alignItems:'center', gap:16, flexWrap:'wrap'}}>
+      <svg width={size} height={size} viewBox="0 0 42 42" role="img" aria-label={title}>
+        <title>{title}</title>
+        <circle cx="21" cy="21" r={RADIUS} fill="none" stroke="var(--color-border-subtle)" strokeWidth="6" />
+        {total > 0 && segments.map(segment => {
+          const length = (segment.value / total) * 100;
+          // Start at 12 o'clock and go clockwise
+          const dashOffset = 25 - offset;
+          offset += length;
+          return (
+            <circle
+              key={segment.label}
+              cx="21"
+              cy="21"
+              r={RADIUS}
+              fill="none"
+              stroke={segment.color}
+              strokeWidth="6"
+              strokeDasharray={`${length} ${100 - length}`}
+              strokeDashoffset={dashOffset}
+            >
+              <title>{`${segment.label}: ${segment.value}`}</title>
+            </circle>
+          );
+        })}
+        {centerLabel !== undefined && (
+          <text x="21" y="23" textAnchor="middle" fontSize="6" fontWeight="bold" fill="var(--color-text)">{centerLabel}</text>
+        )}
+      </svg>
+
+      <ul style={{listStyle:'none', margin:0, padding:0, fontSize:13}}>
+        {segments.map(segment => (
+          <li key={segment.label} style={{display:'flex', alignItems:'center', gap:6, marginBottom:4}}>
+            <span style={{width:10, height:10, borderRadius:2, background:segment.color, display:'inline-block'}} />
+            {segment.label}
+            <span className="muted">
+              {segment.value} ({total > 0 ? Math.round((segment.value / total) * 100) : 0}%)
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
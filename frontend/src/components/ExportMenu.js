@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS, buildExport, exportFileName, downloadFile } from '../utils/exporters';
+
+/*
+  Export dropdown shown next to Clear All / Refresh.
+  Downloads the active site's dataset in the chosen format.
+*/
+export default function ExportMenu({ data, websiteSummary, sourceUrl, disabled }) {
+  const [open, setOpen] = useState(false);
+
+  const handleExport = (format) => {
+    const { ext, mime } = EXPORT_FORMATS[format];
+    downloadFile(
+      exportFileName(sourceUrl, ext),
+      buildExport(format, data, websiteSummary, sourceUrl),
+      mime
+    );
+    setOpen(false);
+  };
+
+  return (
+    <div style={{position:'relative'}}>
+      <button
+        className="button secondary"
+        onClick={() => setOpen(o => !o)}
+        disabled={disabled}
+      >
+        ⬇️ Export
+      </button>
+
+      {open && !disabled && (
+        <div style={{
+          position:'absolute',
+          right:0,
+          top:'calc(100% + 4px)',
+          background:'var(--color-surface)',
+          border:'1px solid var(--color-border)',
+          borderRadius:6,
+          boxShadow:'var(--shadow-raised)',
+          zIndex:10,
+          minWidth:180
+        }}>
+          {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              style={{
+                display:'block',
+                width:'100%',
+                textAlign:'left',
+                padding:'10px 14px',
+                background:'transparent',
+                border:'none',
+                cursor:'pointer',
+                fontSize:14
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import React from 'react';
+import { SORT_OPTIONS, DEFAULT_FILTERS, hasActiveFilters } from '../utils/storyFilters';
+
+/*
+  Search box, sort + source selects and category toggle chips
+  shown above the category sections.
+*/
+export default function FilterBar({ filters, onChange, categories, categoryColors, sources }) {
+
+  const update = (patch) => onChange({ ...filters, ...patch });
+
+  // Show/hide one category
+  const toggleCategory = (category) => {
+    const hidden = filters.hidden.includes(category)
+      ? filters.hidden.filter(c => c !== category)
+      : [...filters.hidden, category];
+    update({ hidden });
+  };
+
+  const selectStyle = {padding:'8px', borderRadius:'4px', border:'1px solid var(--color-border)'};
+
+  return (
+    <div style={{background:'var(--color-surface-muted)', padding:16, borderRadius:8, marginTop:20}}>
+      <div style={{display:'flex', gap:8, flexWrap:'wrap'}}>
+        <input
+          type="search"
+          placeholder="🔍 Search titles, snippets and sources"
+          value={filters.q}
+          onChange={(e) => update({ q: e.target.value })}
+          style={{flex:1, minWidth:200, padding:'8px', borderRadius:'4px', border:'1px solid var(--color-border)'}}
+        />
+
+        <select value={filters.source} onChange={(e) => update({ source: e.target.value })} style={selectStyle}>
+          <option value="">All sources</option>
+          {sources.map(source => <option key={source} value={source}>{source}</option>)}
+        </select>
+
+        <select value={filters.sort} onChange={(e) => update({ sort: e.target.value })} style={selectStyle}>
+          {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+
+        {hasActiveFilters(filters) && (
+          <button className="button secondary" onClick={() => onChange(DEFAULT_FILTERS)}>
+            Reset
+          </button>
+        )}
+      </div>
+
+      {/* Category toggle chips */}
+      <div style={{display:'flex', gap:6, flexWrap:'wrap', marginTop:10}}>
+        {categories.map(category => {
+          const visible = !filters.hidden.includes(category);
+          const color = categoryColors[category] || '#666666';
+          return (
+            <button
+              key={category}
+              onClick={() => toggleCategory(category)}
+              title={visible ? `Hide ${category}` : `Show ${category}`}
+              style={{
+                padding:'4px 12px',
+                borderRadius:'12px',
+                fontSize:'13px',
+                cursor:'pointer',
+                border:`1px solid ${color}`,
+                background: visible ? color : 'var(--color-surface)',
+                color: visible ? '#fff' : color
+              }}
+            >
+              {category}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
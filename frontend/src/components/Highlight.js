@@ -0,0 +1,13 @@
+import React from 'react';
+import { highlightParts } from '../utils/storyFilters';
+import { termHighlightParts } from '../utils/watchlists';
+
+// Renders text with every match of `query` (or of watchlist `terms`) wrapped in <mark>
+export default function Highlight({ text, query, terms }) {
+  const parts = terms ? termHighlightParts(text, terms) : highlightParts(text, query || '');
+  return parts.map((part, i) =>
+    part.match
+      ? <mark key={i}>{part.text}</mark>
+      : <React.Fragment key={i}>{part.text}</React.Fragment>
+  );
+}
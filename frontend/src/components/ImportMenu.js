@@ -0,0 +1,83 @@
+import React, { useRef, useState } from 'react';
+import { parseImportFile } from '../utils/importers';
+
+/*
+  Import dropdown shown next to Export.
+  Lets the user pick a .json/.csv file and either replace or merge
+  it into the current data. Parsing happens here, applying the result
+  is left to the parent via onImport(result, mode).
+*/
+export default function ImportMenu({ onImport, onError }) {
+  const [open, setOpen] = useState(false);
+  const [mode, setMode] = useState('merge');
+  const fileInput = useRef(null);
+
+  // Remember the mode, then open the file picker
+  const chooseFile = (nextMode) => {
+    setMode(nextMode);
+    setOpen(false);
+    fileInput.current.click();
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow picking the same file again
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      onImport({ ...parseImportFile(file.name, text), fileName: file.name }, mode);
+    } catch (err) {
+      console.error('Import failed', err);
+      onError(`Import failed: ${err.message}`);
+    }
+  };
+
+  const itemStyle = {
+    display:'block',
+    width:'100%',
+    textAlign:'left',
+    padding:'10px 14px',
+    background:'transparent',
+    border:'none',
+    cursor:'pointer',
+    fontSize:14
+  };
+
+  return (
+    <div style={{position:'relative'}}>
+      <button className="button secondary" onClick={() => setOpen(o => !o)}>
+        ⬆️ Import
+      </button>
+
+      <input
+        ref={fileInput}
+        type="file"
+        accept=".json,.csv,application/json,text/csv"
+        onChange={handleFile}
+        style={{display:'none'}}
+      />
+
+      {open && (
+        <div style={{
+          position:'absolute',
+          right:0,
+          top:'calc(100% + 4px)',
+          background:'var(--color-surface)',
+          border:'1px solid var(--color-border)',
+          borderRadius:6,
+          boxShadow:'var(--shadow-raised)',
+          zIndex:10,
+          minWidth:220
+        }}>
+          <button style={itemStyle} onClick={() => chooseFile('merge')}>
+            Merge into current data…
+          </button>
+          <button style={itemStyle} onClick={() => chooseFile('replace')}>
+            Replace current data…
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,260 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { PAGE_SIZE } from './CategorySection';
+import { categorize } from '../utils/categories';
+import { storyKey } from '../utils/mergeStories';
+import { PIPELINE_STAGES, SENIORITY_LEVELS, WORKPLACES, parseJob, stageLabel } from '../utils/jobs';
+
+// Stories in this category (after the user's rules) are listed as jobs
+export const JOBS_CATEGORY = 'Jobs';
+
+const EMPTY_FILTERS = { title: '', company: '', location: '', workplace: '', seniority: '', site: '', stage: '' };
+const filterStyle = {width:'100%', boxSizing:'border-box', padding:'4px', fontSize:12};
+
+const hostOf = (siteUrl) => {
+  try {
+    return new URL(siteUrl).hostname;
+  } catch (e) {
+    return siteUrl;
+  }
+};
+
+const includes = (value, query) => (value || '').toLowerCase().includes(query.trim().toLowerCase());
+
+// <input type="date"> value for a timestamp, in local time
+function dateValue(time) {
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+const shortDate = (time) => new Date(time).toLocaleDateString([], { month: 'short', day: 'numeric' });
+
+/*
+  /jobs - every job story of every saved site in one table, with location,
+  remote flag and seniority guessed from the text (utils/jobs), column
+  filters and a per-job application pipeline with dates.
+  Tracked jobs stay listed after their site drops them.
+  Rows are paginated like the category lists (PAGE_SIZE per page).
+*/
+export default function JobsView({ workspaces, categorySettings, applications, onSetStage, onSetStageDate, onOpenSite, onBack }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(0);
+
+  // New filters start from the first page
+  useEffect(() => setPage(0), [filters]);
+
+  const rows = useMemo(() => {
+    const byKey = new Map();
+    Object.values(workspaces).forEach(ws => {
+      (categorize(ws.data, categorySettings)[JOBS_CATEGORY] || []).forEach(story => {
+        const key = storyKey(story);
+        if (!byKey.has(key)) byKey.set(key, { key, story, siteUrl: ws.url, listed: true });
+      });
+    });
+    Object.values(applications).forEach(application => {
+      if (!byKey.has(application.key)) {
+        byKey.set(application.key, { key: application.key, story: application.job, siteUrl: application.siteUrl, listed: false });
+      }
+    });
+
+    return [...byKey.values()]
+      .map(row => ({ ...row, ...parseJob(row.story) }))
+      .sort((a, b) => (b.story.addedAt || 0) - (a.story.addedAt || 0));
+  }, [workspaces, categorySettings, applications]);
+
+  const sites = [...new Set(rows.map(row => row.siteUrl))].sort();
+
+  const visible = rows.filter(row => {
+    const stage = applications[row.key]?.status || '';
+    return includes(row.story.title, filters.title)
+      && includes(row.story.company, filters.company)
+      && (!filters.location || includes(row.location, filters.location))
+      && (!filters.workplace || (filters.workplace === 'unknown' ? !row.workplace : row.workplace === filters.workplace))
+      && (!filters.seniority || (filters.seniority === 'unknown' ? !row.seniority : row.seniority === filters.seniority))
+      && (!filters.site || row.siteUrl === filters.site)
+      && (!filters.stage || (filters.stage === 'untracked' ? !stage : stage === filters.stage));
+  });
+
+  const pageCount = Math.max(1, Math.ceil(visible.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1); // list may have shrunk since
+  const pageRows = visible.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+
+  // Jobs per pipeline stage, for the summary above the table
+  const stageCounts = PIPELINE_STAGES.map(stage => ({
+    ...stage,
+    count: Object.values(applications).filter(application => application.status === stage.id).length
+  }));
+
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+  const filtering = Object.values(filters).some(Boolean);
+
+  const textFilter = (key, label) => (
+    <input
+      type="text"
+      className="input"
+      placeholder="Filter"
+      aria-label={`Filter ${label}`}
+      value={filters[key]}
+      onChange={(e) => setFilter(key, e.target.value)}
+      style={filterStyle}
+    />
+  );
+
+  const selectFilter = (key, label, options) => (
+    <select
+      className="select"
+      aria-label={`Filter ${label}`}
+      value={filters[key]}
+      onChange={(e) => setFilter(key, e.target.value)}
+      style={filterStyle}
+    >
+      <option value="">All</option>
+      {options.map(([value, text]) => <option key={value} value={value}>{text}</option>)}
+    </select>
+  );
+
+  return (
+    <div>
+      <div style={{display:'flex', alignItems:'center', gap:12, flexWrap:'wrap'}}>
+        <button className="button secondary" onClick={onBack}>← Back to dashboard</button>
+        <h2 style={{color:'var(--color-primary)', margin:0}}>💼 Jobs</h2>
+      </div>
+
+      {/* Pipeline summary - click a stage to filter by it */}
+      <div className="panel" style={{display:'flex', alignItems:'center', gap:8, flexWrap:'wrap'}}>
+        <strong>Pipeline:</strong>
+        {stageCounts.map((stage, i) => (
+          <React.Fragment key={stage.id}>
+            {i > 0 && <span className="muted">{stage.id === 'offer' ? '/' : '→'}</span>}
+            <button
+              className="badge"
+              onClick={() => setFilter('stage', filters.stage === stage.id ? '' : stage.id)}
+              aria-pressed={filters.stage === stage.id}
+              style={{
+                background: filters.stage === stage.id ? stage.color : 'var(--color-surface)',
+                color: filters.stage === stage.id ? '#fff' : stage.color,
+                border:`1px solid ${stage.color}`,
+                cursor:'pointer'
+              }}
+            >
+              {stage.label} {stage.count}
+            </button>
+          </React.Fragment>
+        ))}
+        {filtering && (
+          <button className="button secondary" onClick={() => setFilters(EMPTY_FILTERS)} style={{marginLeft:'auto'}}>
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="empty-state">
+          No job postings yet. Stories in the {JOBS_CATEGORY} category of any site show up here.
+        </div>
+      ) : (
+        <div style={{overflowX:'auto', marginTop:20}}>
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Job</th>
+                <th>Company</th>
+                <th>Location</th>
+                <th>Remote</th>
+                <th>Seniority</th>
+                <th>Site</th>
+                <th>Application</th>
+              </tr>
+              <tr>
+                <th>{textFilter('title', 'job')}</th>
+                <th>{textFilter('company', 'company')}</th>
+                <th>{textFilter('location', 'location')}</th>
+                <th>{selectFilter('workplace', 'remote', [...WORKPLACES.map(w => [w, w]), ['unknown', 'Not stated']])}</th>
+                <th>{selectFilter('seniority', 'seniority', [...SENIORITY_LEVELS.map(l => [l.label, l.label]).reverse(), ['unknown', 'Not stated']])}</th>
+                <th>{selectFilter('site', 'site', sites.map(site => [site, hostOf(site)]))}</th>
+                <th>{selectFilter('stage', 'application', [...PIPELINE_STAGES.map(s => [s.id, s.label]), ['untracked', 'Not tracked']])}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.length === 0 && (
+                <tr><td colSpan={7} className="muted" style={{textAlign:'center'}}>No jobs match the filters</td></tr>
+              )}
+              {pageRows.map(row => {
+                const application = applications[row.key];
+                const current = application?.history[application.history.length - 1];
+                return (
+                  <tr key={row.key}>
+                    <td>
+                      <a href={row.story.link} target="_blank" rel="noreferrer" style={{fontWeight:600, textDecoration:'none'}}>
+                        {row.story.title}
+                      </a>
+                      {!row.listed && <div className="muted" style={{fontSize:11}}>No longer on the site</div>}
+                    </td>
+                    <td>{row.story.company || '—'}</td>
+                    <td>{row.location || <span className="muted">—</span>}</td>
+                    <td>{row.workplace ? (row.remote ? '✅ Remote' : row.workplace) : <span className="muted">—</span>}</td>
+                    <td>{row.seniority || <span className="muted">—</span>}</td>
+                    <td>
+                      {row.listed
+                        ? <button className="link-button" onClick={() => onOpenSite(row.siteUrl)}>{hostOf(row.siteUrl)}</button>
+                        : hostOf(row.siteUrl)}
+                    </td>
+                    <td>
+                      <div style={{display:'flex', gap:6, alignItems:'center', flexWrap:'wrap'}}>
+                        <select
+                          className="select"
+                          aria-label={`Application status for ${row.story.title}`}
+                          value={application?.status || ''}
+                          onChange={(e) => onSetStage(row.key, e.target.value, { story: row.story, siteUrl: row.siteUrl })}
+                          style={{padding:'4px'}}
+                        >
+                          <option value="">Not tracked</option>
+                          {PIPELINE_STAGES.map(stage => <option key={stage.id} value={stage.id}>{stage.label}</option>)}
+                        </select>
+                        {current && (
+                          <input
+                            type="date"
+                            className="input"
+                            aria-label={`${stageLabel(current.status)} on`}
+                            value={dateValue(current.at)}
+                            max={dateValue(Date.now())}
+                            onChange={(e) => e.target.value && onSetStageDate(row.key, new Date(`${e.target.value}T12:00`).getTime())}
+                            style={{padding:'3px', fontSize:12}}
+                          />
+                        )}
+                      </div>
+                      {application?.history.length > 1 && (
+                        <div className="muted" style={{fontSize:11, marginTop:4}}>
+                          {application.history.map(step => `${stageLabel(step.status)} ${shortDate(step.at)}`).join(' → ')}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {/* Pagination */}
+          {pageCount > 1 && (
+            <div className="pagination">
+              <button className="button secondary" onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0}>
+                ‹ Prev
+              </button>
+              <span>
+                {currentPage * PAGE_SIZE + 1}–{Math.min((currentPage + 1) * PAGE_SIZE, visible.length)} of {visible.length}
+              </span>
+              <button className="button secondary" onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount - 1}>
+                Next ›
+              </button>
+            </div>
+          )}
+
+          <div className="muted" style={{marginTop:8}}>
+            {visible.length} of {rows.length} job{rows.length !== 1 ? 's' : ''} · location, remote and seniority are read from the title and snippet
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React, { useEffect, useState } from 'react';
+import Alert from './Alert';
+import { discardLegacyData, findLegacyData, importLegacyData } from '../services/storage';
+
+/*
+  Offers data saved before every account had its own storage. It may be
+  someone else's, so it is only imported when the user says it is theirs.
+  onImported() runs once it has been copied into the user's database.
+*/
+export default function LegacyDataPrompt({ userId, onImported }) {
+  const [legacy, setLegacy] = useState(null); // { siteCount } while there is something to offer
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLegacy(null);
+
+    findLegacyData()
+      .then(found => !cancelled && setLegacy(found))
+      .catch(err => console.error('Failed to look for data from older versions', err));
+
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  if (!legacy) return null;
+
+  const run = (action, done) => {
+    setBusy(true);
+    setError(null);
+    action()
+      .then(() => {
+        setLegacy(null);
+        done?.();
+      })
+      .catch(err => setError(err.message))
+      .finally(() => setBusy(false));
+  };
+
+  const handleDelete = () => {
+    if (window.confirm('Delete the data saved by the earlier version from this browser? This cannot be undone.')) {
+      run(discardLegacyData);
+    }
+  };
+
+  const sites = `${legacy.siteCount} site${legacy.siteCount !== 1 ? 's' : ''}`;
+
+  return (
+    <div style={{marginBottom:20}}>
+      <Alert variant="warning" title="📦 Data from an earlier version" onClose={() => setLegacy(null)}>
+        <p style={{margin:'0 0 10px'}}>
+          This browser has {sites} saved before each account got its own storage. It may belong to
+          someone else who used this browser - only import it if it is yours.
+        </p>
+        <div style={{display:'flex', gap:8, flexWrap:'wrap'}}>
+          <button className="button" onClick={() => run(importLegacyData, onImported)} disabled={busy}>
+            Import into my account
+          </button>
+          <button className="button secondary" onClick={handleDelete} disabled={busy}>
+            Delete it
+          </button>
+        </div>
+        {error && <div style={{marginTop:8}}>⚠️ {error}</div>}
+      </Alert>
+    </div>
+  );
+}
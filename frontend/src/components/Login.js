@@ -1,5 +1,7 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useGoogleLogin } from '@react-oauth/google';
+import Alert from './Alert';
+import { completeSignIn } from '../services/session';
 
 /*
   Login component uses @react-oauth/google's useGoogleLogin hook to open the
@@ -9,34 +11,29 @@ import { useGoogleLogin } from '@react-oauth/google';
 
 /*
   Handles Google OAuth login.
-  Retrieves the access_token → fetches user profile → sends to parent component.
+  Retrieves the access_token → fetches user profile → sends { profile, token } to parent component.
+  `notice` explains an automatic sign-out (e.g. the backend went offline).
 */
-export default function Login({ onLogin }) {
+export default function Login({ onLogin, notice }) {
+  const [error, setError] = useState(null);
 
   // Initialize Google login handler
   const login = useGoogleLogin({
     onSuccess: tokenResponse => {
-      // tokenResponse contains the OAuth access token
-      fetch('https://www.googleapis.com/oauth2/v3/userinfo', {
-        headers: {
-          Authorization: `Bearer ${tokenResponse.access_token}`
-        }
-      })
-      .then(res => res.json())
-      .then(userInfo => {
-        // Pass user info to parent (App.js)
-        onLogin({ ...userInfo, token: tokenResponse.access_token });
-      })
-      .catch(err => {
-        console.error('Failed to fetch user info', err);
-        alert('Login succeeded but failed to fetch user info. Check console.');
-      });
+      setError(null);
+      // tokenResponse contains the OAuth access token and its expires_in
+      completeSignIn(tokenResponse)
+        .then(onLogin) // Pass profile + token to parent (App.js)
+        .catch(err => {
+          console.error('Failed to fetch user info', err);
+          setError(`Signed in with Google, but your profile could not be loaded: ${err.message}. Please try again.`);
+        });
     },
 
     // Error handler
     onError: errorResponse => {
       console.error('Login Failed:', errorResponse);
-      alert('Login Failed');
+      setError('Google sign-in failed or was cancelled. Please try again.');
     },
 
     // Scopes required
@@ -48,6 +45,9 @@ export default function Login({ onLogin }) {
       <h2>Sign in to access the Scraper</h2>
       <p>Please sign in with your Google account</p>
 
+      {notice && <Alert variant="warning">{notice}</Alert>}
+      {error && <Alert variant="error" onClose={() => setError(null)}>{error}</Alert>}
+
       {/* Trigger login */}
       <div style={{marginTop:16}}>
         <button className="button" onClick={() => login()}>
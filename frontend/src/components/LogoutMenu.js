@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+
+const optionStyle = {
+  display:'block',
+  width:'100%',
+  textAlign:'left',
+  padding:'10px 14px',
+  background:'transparent',
+  border:'none',
+  cursor:'pointer',
+  fontSize:14
+};
+
+/*
+  Logout dropdown - on a shared machine the user chooses whether their
+  saved sites and settings stay on this device or are wiped.
+  onLogout({ wipe }) does the rest.
+*/
+export default function LogoutMenu({ onLogout }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div style={{position:'relative'}}>
+      <button className="button secondary" onClick={() => setOpen(o => !o)} aria-expanded={open}>
+        Logout ▾
+      </button>
+
+      {open && (
+        <div style={{
+          position:'absolute',
+          right:0,
+          top:'calc(100% + 4px)',
+          background:'var(--color-surface)',
+          border:'1px solid var(--color-border)',
+          borderRadius:6,
+          boxShadow:'var(--shadow-raised)',
+          zIndex:10,
+          minWidth:260
+        }}>
+          <button style={optionStyle} onClick={() => onLogout({ wipe: false })}>
+            💾 Keep my data on this device
+          </button>
+          <button
+            style={{...optionStyle, color:'var(--color-danger)'}}
+            onClick={() => {
+              if (window.confirm('Delete all your saved sites, history and settings from this browser?')) {
+                onLogout({ wipe: true });
+              }
+            }}
+          >
+            🗑️ Wipe my data and log out
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { useGoogleLogin } from '@react-oauth/google';
+import Alert from './Alert';
+import { completeSignIn } from '../services/session';
+
+/*
+  Expiry warning / expired / rejected notice with a "Renew session" button.
+  Re-auth runs the Google popup again for the same account (login hint);
+  signing in as someone else is refused so data never crosses accounts.
+*/
+export default function SessionBanner({ user, status, expiresIn, onRenew }) {
+  const [renewError, setRenewError] = useState(null);
+
+  const renew = useGoogleLogin({
+    onSuccess: tokenResponse => {
+      completeSignIn(tokenResponse)
+        .then(({ profile, token }) => {
+          if (profile.email !== user.email) {
+            setRenewError(`Signed in as ${profile.email}. Please renew with ${user.email}.`);
+            return;
+          }
+          setRenewError(null);
+          onRenew(token);
+        })
+        .catch(err => {
+          console.error('Failed to renew session', err);
+          setRenewError(`Could not renew the session: ${err.message}`);
+        });
+    },
+    onError: errorResponse => {
+      console.error('Re-auth failed:', errorResponse);
+      setRenewError('Google sign-in was cancelled or failed.');
+    },
+    scope: 'openid profile email',
+    hint: user.email
+  });
+
+  if (status === 'active' && !renewError) return null;
+
+  const minutes = Math.max(1, Math.ceil(expiresIn / 60000));
+
+  return (
+    <div style={{marginBottom:20}}>
+      {status === 'expiring' && (
+        <Alert variant="warning">
+          ⏳ Your Google session expires in {minutes} min.{' '}
+          <button className="button" onClick={() => renew()}>Renew session</button>
+        </Alert>
+      )}
+      {status === 'expired' && (
+        <Alert variant="warning">
+          🔒 Your Google session has expired. Saved data is still available; sign in again to keep scraping.{' '}
+          <button className="button" onClick={() => renew()}>Renew session</button>
+        </Alert>
+      )}
+      {status === 'rejected' && (
+        <Alert variant="warning">
+          🔒 The server did not accept your Google session. Sign in again to continue - your data stays here
+          and a paused scrape resumes afterwards.{' '}
+          <button className="button" onClick={() => renew()}>Sign in again</button>
+        </Alert>
+      )}
+      {renewError && <Alert variant="error" onClose={() => setRenewError(null)}>{renewError}</Alert>}
+    </div>
+  );
+}
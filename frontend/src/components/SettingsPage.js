@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+import Toolbar from './Toolbar';
+import ThemeSwitch from './ThemeSwitch';
+import LogoutMenu from './LogoutMenu';
+import Alert from './Alert';
+import { navigate } from '../hooks/useRoute';
+import { checkHealth, DEFAULT_API_URL } from '../services/apiClient';
+import { DASHBOARD_PATH } from '../utils/routes';
+import { DEFAULT_SETTINGS, SETTING_LIMITS, trimBaseUrl, validateApiUrl, validateSettings } from '../utils/settings';
+
+// Label, control and validation message for one setting
+function SettingField({ id, label, hint, error, children }) {
+  return (
+    <div style={{marginBottom:14}}>
+      <label htmlFor={id} style={{display:'block', fontWeight:'bold', marginBottom:4}}>{label}</label>
+      {children}
+      {error
+        ? <div style={{color:'var(--color-danger)', fontSize:12, marginTop:4}}>{error}</div>
+        : hint && <div className="muted" style={{fontSize:12, marginTop:4}}>{hint}</div>}
+    </div>
+  );
+}
+
+/*
+  /settings - the signed-in user's preferences.
+  Everything here is saved per user (see services/storage).
+  Portal settings are edited as a draft and only applied on Save.
+  Only rendered once the saved settings have loaded, so the draft starts from them.
+*/
+export default function SettingsPage({ user, theme, onThemeChange, settings, onSaveSettings, onLogout }) {
+  const [draft, setDraft] = useState(settings);
+  const [connectionTest, setConnectionTest] = useState(null); // { state: 'testing' | 'ok' | 'failed', message }
+  const [saveResult, setSaveResult] = useState(null);         // { variant, message }
+
+  const errors = validateSettings(draft);
+  const hasErrors = Object.keys(errors).length > 0;
+  const changed = JSON.stringify(draft) !== JSON.stringify(settings);
+
+  const update = (key, value) => {
+    setDraft(prev => ({ ...prev, [key]: value }));
+    setSaveResult(null);
+    if (key === 'apiUrl') setConnectionTest(null);
+  };
+
+  // Ping /health on the URL in the form (not yet saved)
+  const handleTestConnection = async () => {
+    const baseUrl = draft.apiUrl.trim() ? trimBaseUrl(draft.apiUrl) : DEFAULT_API_URL;
+    const timeout = errors.healthTimeout ? DEFAULT_SETTINGS.healthTimeout : Number(draft.healthTimeout);
+    setConnectionTest({ state: 'testing', message: `Contacting ${baseUrl}...` });
+
+    const startedAt = Date.now();
+    try {
+      await checkHealth({ baseUrl, timeout: timeout * 1000 });
+      setConnectionTest({ state: 'ok', message: `✅ ${baseUrl} answered in ${Date.now() - startedAt} ms` });
+    } catch (err) {
+      setConnectionTest({ state: 'failed', message: `❌ ${baseUrl}: ${err.message}` });
+    }
+  };
+
+  // Defaults go into the draft; Save applies them
+  const handleReset = () => {
+    setDraft(DEFAULT_SETTINGS);
+    setConnectionTest(null);
+    setSaveResult(null);
+  };
+
+  const handleSave = () => {
+    onSaveSettings(draft)
+      .then(saved => {
+        setDraft(saved); // normalised, so the form shows no unsaved changes
+        setSaveResult({ variant: 'success', message: '✅ Settings saved.' });
+      })
+      .catch(err => setSaveResult({ variant: 'error', message: `Could not save settings: ${err.message}` }));
+  };
+
+  // Number input for a setting with limits in SETTING_LIMITS
+  const numberField = (key, label, unit, hint) => {
+    const [min, max] = SETTING_LIMITS[key];
+    return (
+      <SettingField id={`setting-${key}`} label={label} hint={hint} error={errors[key]}>
+        <input
+          id={`setting-${key}`}
+          type="number"
+          min={min}
+          max={max}
+          value={draft[key]}
+          onChange={(e) => update(key, e.target.value)}
+          aria-invalid={Boolean(errors[key])}
+          className="input"
+          style={{width:100}}
+        />{' '}
+        <span className="muted">{unit}</span>
+      </SettingField>
+    );
+  };
+
+  return (
+    <div>
+      <Toolbar
+        start={
+          <button className="button secondary" onClick={() => navigate(DASHBOARD_PATH)}>
+            ← Back to dashboard
+          </button>
+        }
+      >
+        <LogoutMenu onLogout={onLogout} />
+      </Toolbar>
+
+      <h2 style={{color:'var(--color-primary)'}}>⚙️ Settings</h2>
+
+      {/* Account */}
+      <div className="panel">
+        <strong className="panel-title">Account</strong>
+        <div className="toolbar-user">
+          <img src={user.picture} alt="avatar" />
+          <div>
+            <strong>{user.name}</strong><br/>
+            <small>{user.email}</small>
+          </div>
+        </div>
+        <p className="muted">Your sites, history and settings are saved in this browser for this account only.</p>
+      </div>
+
+      {/* Appearance - applied immediately */}
+      <div className="panel">
+        <label className="panel-title" htmlFor="settings-theme"><strong>Theme</strong></label>
+        <ThemeSwitch id="settings-theme" theme={theme} onChange={onThemeChange} />
+      </div>
+
+      {/* Backend */}
+      <div className="panel">
+        <strong className="panel-title">Backend</strong>
+
+        <SettingField
+          id="setting-apiUrl"
+          label="Backend URL"
+          hint={`Leave empty to use the default (${DEFAULT_API_URL})`}
+          error={errors.apiUrl}
+        >
+          <div style={{display:'flex', gap:8, flexWrap:'wrap'}}>
+            <input
+              id="setting-apiUrl"
+              type="url"
+              value={draft.apiUrl}
+              onChange={(e) => update('apiUrl', e.target.value)}
+              placeholder={DEFAULT_API_URL}
+              aria-invalid={Boolean(errors.apiUrl)}
+              className="input"
+              style={{flex:1, minWidth:240}}
+            />
+            <button
+              className="button secondary"
+              onClick={handleTestConnection}
+              disabled={Boolean(validateApiUrl(draft.apiUrl)) || connectionTest?.state === 'testing'}
+            >
+              {connectionTest?.state === 'testing' ? 'Testing...' : '🔌 Test connection'}
+            </button>
+          </div>
+        </SettingField>
+
+        {connectionTest && connectionTest.state !== 'testing' && (
+          <Alert variant={connectionTest.state === 'ok' ? 'success' : 'error'}>{connectionTest.message}</Alert>
+        )}
+        {connectionTest?.state === 'testing' && <p className="muted">{connectionTest.message}</p>}
+
+        {numberField('requestTimeout', 'Scrape timeout', 'seconds', 'How long a scrape may take before it is reported as timed out')}
+      </div>
+
+      {/* Health checks */}
+      <div className="panel">
+        <strong className="panel-title">Connection checks</strong>
+        {numberField('healthInterval', 'Check interval', 'seconds', 'How often /health is pinged')}
+        {numberField('healthTimeout', 'Check timeout', 'seconds', 'A ping without an answer in this time counts as failed')}
+        {numberField('maxFailures', 'Failures before offline', 'in a row', 'Failed pings in a row before the backend counts as offline')}
+
+        <label style={{display:'flex', alignItems:'center', gap:8}}>
+          <input
+            type="checkbox"
+            checked={draft.logoutWhenOffline}
+            onChange={(e) => update('logoutWhenOffline', e.target.checked)}
+          />
+          Log me out when the backend goes offline
+        </label>
+        <div className="muted" style={{fontSize:12, marginTop:4}}>
+          Off: saved data stays browsable offline and scraping resumes when the backend is back.
+        </div>
+      </div>
+
+      {/* Messages */}
+      <div className="panel">
+        <strong className="panel-title">Messages</strong>
+        {numberField('errorMessageTime', 'Error messages stay for', 'seconds', '0 keeps them until closed')}
+        {numberField('successMessageTime', 'Success messages stay for', 'seconds', '0 keeps them until closed')}
+      </div>
+
+      {saveResult && (
+        <div style={{marginTop:20}}>
+          <Alert variant={saveResult.variant} onClose={() => setSaveResult(null)}>{saveResult.message}</Alert>
+        </div>
+      )}
+
+      <div style={{display:'flex', gap:8, marginTop:20}}>
+        <button className="button" onClick={handleSave} disabled={hasErrors || !changed}>Save settings</button>
+        <button className="button secondary" onClick={() => setDraft(settings)} disabled={!changed}>Discard changes</button>
+        <button className="button secondary" onClick={handleReset}>Reset to defaults</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React from 'react';
+import { countNew } from '../utils/newItems';
+
+/*
+  Sidebar listing every scraped site (workspace).
+  Clicking a site switches the dashboard to it, the ✕ button deletes it.
+*/
+export default function SiteSidebar({ workspaces, activeSite, onSelect, onDelete }) {
+
+  // Most recently updated sites first
+  const sites = Object.values(workspaces).sort((a, b) => b.updatedAt - a.updatedAt);
+
+  return (
+    <aside style={{
+      width:260,
+      flexShrink:0,
+      background:'var(--color-surface-muted)',
+      borderRadius:8,
+      padding:12,
+      alignSelf:'flex-start'
+    }}>
+      <strong style={{display:'block', marginBottom:8}}>
+        🗂️ Scraped Sites ({sites.length})
+      </strong>
+
+      {sites.length === 0 && (
+        <p style={{fontSize:13, color:'var(--color-text-muted)', margin:0}}>No sites yet</p>
+      )}
+
+      {sites.map(site => {
+        const isActive = site.url === activeSite;
+        const itemCount = Object.values(site.data || {}).reduce((s, arr) => s + (arr?.length || 0), 0);
+        const newCount = countNew(site.data);
+
+        return (
+          <div
+            key={site.url}
+            onClick={() => onSelect(site.url)}
+            style={{
+              display:'flex',
+              alignItems:'center',
+              justifyContent:'space-between',
+              gap:8,
+              padding:'8px 10px',
+              marginBottom:6,
+              borderRadius:6,
+              cursor:'pointer',
+              background: isActive ? 'var(--color-primary)' : 'var(--color-surface)',
+              color: isActive ? '#fff' : 'var(--color-text)',
+              border:'1px solid var(--color-border)'
+            }}
+          >
+            <div style={{overflow:'hidden'}}>
+              <div style={{fontSize:14, fontWeight:'500', whiteSpace:'nowrap', overflow:'hidden', textOverflow:'ellipsis'}}>
+                {site.websiteSummary?.title || site.url}
+              </div>
+              <div style={{fontSize:11, opacity:0.8}}>
+                {itemCount} items · {new Date(site.updatedAt).toLocaleString()}
+                {site.autoRefreshMinutes > 0 && ` · ⏱ ${site.autoRefreshMinutes}m`}
+              </div>
+            </div>
+
+            {/* Unseen items from auto-refresh */}
+            {newCount > 0 && (
+              <span style={{
+                background:'var(--color-new)',
+                color:'#fff',
+                borderRadius:'10px',
+                padding:'2px 8px',
+                fontSize:11,
+                fontWeight:'bold'
+              }}>
+                {newCount}
+              </span>
+            )}
+
+            {/* Per-site delete - stopPropagation so the site isn't selected too */}
+            <button
+              title="Delete this site"
+              onClick={(e) => { e.stopPropagation(); onDelete(site.url); }}
+              style={{
+                background:'transparent',
+                border:'none',
+                color:'inherit',
+                cursor:'pointer',
+                fontSize:14
+              }}
+            >
+              ✕
+            </button>
+          </div>
+        );
+      })}
+    </aside>
+  );
+}
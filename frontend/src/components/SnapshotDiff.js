@@ -0,0 +1,158 @@
+import React, { useEffect, useState } from 'react';
+import { loadSnapshots } from '../services/storage';
+import { diffSnapshots, hasChanges } from '../utils/snapshotDiff';
+
+const SUMMARY_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  keywords: 'Keywords',
+  theme_color: 'Theme color'
+};
+
+const formatTime = (time) => new Date(time).toLocaleString();
+
+function StoryLine({ story, color }) {
+  return (
+    <li style={{marginBottom:6}}>
+      <a href={story.link} target="_blank" rel="noreferrer" style={{color, textDecoration:'none', fontWeight:'500'}}>
+        {story.title}
+      </a>
+      <span style={{fontSize:12, color:'var(--color-text-muted)'}}> · {story.category}</span>
+    </li>
+  );
+}
+
+function DiffSection({ title, count, children }) {
+  return (
+    <div style={{marginTop:12}}>
+      <strong style={{fontSize:14}}>{title} ({count})</strong>
+      {count > 0 && <ul style={{margin:'6px 0 0', paddingLeft:20, fontSize:13}}>{children}</ul>}
+    </div>
+  );
+}
+
+/*
+  Snapshot history of one site: pick any two scrapes and see which
+  stories appeared, disappeared or changed, and how the website
+  summary changed between them.
+  `version` changes whenever a new snapshot is saved so the list reloads.
+*/
+export default function SnapshotDiff({ siteUrl, version }) {
+  const [open, setOpen] = useState(false);
+  const [snapshots, setSnapshots] = useState([]);
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    if (!open || !siteUrl) return;
+    let cancelled = false;
+
+    loadSnapshots(siteUrl)
+      .then(list => {
+        if (cancelled) return;
+        setSnapshots(list);
+        setLoadError(null);
+        // Default to the two most recent scrapes
+        setFromId(list.length > 1 ? list[list.length - 2].id : null);
+        setToId(list.length > 0 ? list[list.length - 1].id : null);
+      })
+      .catch(err => {
+        console.error('Failed to load snapshots', err);
+        if (!cancelled) setLoadError(err.message);
+      });
+
+    return () => { cancelled = true; };
+  }, [open, siteUrl, version]);
+
+  const from = snapshots.find(s => s.id === fromId);
+  const to = snapshots.find(s => s.id === toId);
+  const diff = from && to ? diffSnapshots(from, to) : null;
+
+  const snapshotSelect = (id, value, onChange) => (
+    <select
+      id={id}
+      value={value ?? ''}
+      onChange={(e) => onChange(Number(e.target.value))}
+      style={{padding:'4px', borderRadius:'4px', border:'1px solid var(--color-border)'}}
+    >
+      {snapshots.map(s => (
+        <option key={s.id} value={s.id}>{formatTime(s.takenAt)}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div style={{background:'var(--color-surface-muted)', padding:20, borderRadius:8, marginTop:20}}>
+      <div style={{display:'flex', justifyContent:'space-between', alignItems:'center'}}>
+        <strong>🕑 Scrape history</strong>
+        <button className="button secondary" onClick={() => setOpen(!open)}>
+          {open ? 'Hide' : 'Compare snapshots'}
+        </button>
+      </div>
+
+      {open && loadError && (
+        <p style={{fontSize:13, color:'var(--color-danger)', marginBottom:0}}>⚠️ Could not load snapshots: {loadError}</p>
+      )}
+
+      {open && !loadError && snapshots.length < 2 && (
+        <p style={{fontSize:13, color:'var(--color-text-muted)', marginBottom:0}}>
+          {snapshots.length === 0
+            ? 'No snapshots of this site yet.'
+            : 'Only one snapshot so far. Scrape the site again to compare.'}
+        </p>
+      )}
+
+      {open && snapshots.length >= 2 && (
+        <div style={{marginTop:12}}>
+          <div style={{display:'flex', alignItems:'center', gap:8, flexWrap:'wrap', fontSize:14}}>
+            <label htmlFor="snapshot-from">From</label>
+            {snapshotSelect('snapshot-from', fromId, setFromId)}
+            <label htmlFor="snapshot-to">to</label>
+            {snapshotSelect('snapshot-to', toId, setToId)}
+          </div>
+
+          {diff && !hasChanges(diff) && (
+            <p style={{fontSize:13, color:'var(--color-text-muted)', marginBottom:0}}>No differences between these snapshots.</p>
+          )}
+
+          {diff && hasChanges(diff) && (
+            <div style={{background:'var(--color-surface)', border:'1px solid var(--color-border-subtle)', borderRadius:6, padding:'4px 12px 12px', marginTop:12}}>
+              <DiffSection title="➕ Added" count={diff.added.length}>
+                {diff.added.map(story => <StoryLine key={story.link + story.title} story={story} color="var(--color-success)" />)}
+              </DiffSection>
+
+              <DiffSection title="➖ Disappeared" count={diff.removed.length}>
+                {diff.removed.map(story => <StoryLine key={story.link + story.title} story={story} color="var(--color-danger)" />)}
+              </DiffSection>
+
+              <DiffSection title="✏️ Changed" count={diff.changed.length}>
+                {diff.changed.map(({ before, after, fields }) => (
+                  <li key={after.link + after.title} style={{marginBottom:8}}>
+                    <a href={after.link} target="_blank" rel="noreferrer" style={{color:'var(--color-primary)', textDecoration:'none', fontWeight:'500'}}>
+                      {after.title}
+                    </a>
+                    {fields.map(field => (
+                      <div key={field} style={{fontSize:12, color:'var(--color-text-soft)'}}>
+                        {field}: <del style={{color:'var(--color-danger)'}}>{before[field] || '—'}</del> → <ins style={{color:'var(--color-success)'}}>{after[field] || '—'}</ins>
+                      </div>
+                    ))}
+                  </li>
+                ))}
+              </DiffSection>
+
+              <DiffSection title="🌐 Website summary" count={diff.summary.length}>
+                {diff.summary.map(({ field, before, after }) => (
+                  <li key={field} style={{marginBottom:6}}>
+                    <strong>{SUMMARY_LABELS[field]}:</strong>{' '}
+                    <del style={{color:'var(--color-danger)'}}>{before || '—'}</del> → <ins style={{color:'var(--color-success)'}}>{after || '—'}</ins>
+                  </li>
+                ))}
+              </DiffSection>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+
+const actionStyle = {
+  background:'transparent',
+  border:'1px solid var(--color-border)',
+  borderRadius:'12px',
+  padding:'2px 10px',
+  fontSize:'12px',
+  cursor:'pointer',
+  color:'var(--color-text-soft)'
+};
+
+/*
+  Triage controls under a story: star, read/unread, archive and a note.
+  `state` is the story's saved state (may be undefined),
+  onChange(patch) saves a partial update.
+*/
+export default function StoryActions({ state = {}, onChange }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+
+  const startEditing = () => {
+    setDraft(state.note || '');
+    setEditing(true);
+  };
+
+  const saveNote = () => {
+    onChange({ note: draft.trim() });
+    setEditing(false);
+  };
+
+  return (
+    <div style={{marginTop:8}}>
+      <div style={{display:'flex', gap:6, flexWrap:'wrap'}}>
+        <button
+          style={{...actionStyle, color: state.starred ? '#b58100' : actionStyle.color}}
+          onClick={() => onChange({ starred: !state.starred })}
+          title={state.starred ? 'Remove star' : 'Star this story'}
+        >
+          {state.starred ? '★ Starred' : '☆ Star'}
+        </button>
+        <button style={actionStyle} onClick={() => onChange({ read: !state.read })}>
+          {state.read ? '○ Mark unread' : '● Mark read'}
+        </button>
+        <button style={actionStyle} onClick={() => onChange({ archived: !state.archived })}>
+          {state.archived ? '📤 Unarchive' : '🗄️ Archive'}
+        </button>
+        {!editing && (
+          <button style={actionStyle} onClick={startEditing}>
+            📝 {state.note ? 'Edit note' : 'Add note'}
+          </button>
+        )}
+      </div>
+
+      {/* Saved note */}
+      {state.note && !editing && (
+        <div style={{
+          fontSize:13,
+          color:'var(--color-warning)',
+          background:'var(--color-warning-bg)',
+          padding:'6px 8px',
+          borderRadius:'4px',
+          marginTop:6,
+          whiteSpace:'pre-wrap'
+        }}>
+          {state.note}
+        </div>
+      )}
+
+      {/* Note editor */}
+      {editing && (
+        <div style={{marginTop:6}}>
+          <textarea
+            rows={3}
+            autoFocus
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="Write a note about this story"
+            style={{width:'100%', padding:'6px', borderRadius:'4px', border:'1px solid var(--color-border)', resize:'vertical', fontSize:13}}
+          />
+          <div style={{display:'flex', gap:6, marginTop:4}}>
+            <button className="button" onClick={saveNote}>Save note</button>
+            <button className="button secondary" onClick={() => setEditing(false)}>Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import React, { memo } from 'react';
+import Highlight from './Highlight';
+import StoryActions from './StoryActions';
+
+/*
+  One story in a category section: title link, source, snippet and triage controls.
+  Memoised - it only re-renders when its own story, state or the search query change,
+  so callbacks passed in must be stable (they receive the story key).
+*/
+function StoryCard({ story, storyKey, category, state, query, isLast, onUpdate, onDragStart, onDragEnd }) {
+  return (
+    <div
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', story.title);
+        onDragStart(storyKey, category);
+      }}
+      onDragEnd={onDragEnd}
+      title="Drag to move this story to another category"
+      className={['story-card', state.read && 'read', state.archived && 'archived', isLast && 'last'].filter(Boolean).join(' ')}
+    >
+      {/* Story Title (clickable link) */}
+      <a
+        href={story.link}
+        target="_blank"
+        rel="noreferrer"
+        onClick={() => !state.read && onUpdate(storyKey, { read: true })}
+        className="story-title"
+      >
+        {/* Unread dot */}
+        {!state.read && (
+          <span title="Unread" className="story-unread-dot">●</span>
+        )}
+        {story.isNew && <span className="story-new">NEW</span>}
+        <Highlight text={story.title} query={query} />
+      </a>
+
+      {/* Source/Company */}
+      <div className="story-source">
+        📌 Source: <Highlight text={story.company} query={query} />
+      </div>
+
+      {/* Snippet/Description */}
+      {story.snippet && (
+        <div className="story-snippet">
+          <Highlight text={story.snippet} query={query} />
+        </div>
+      )}
+
+      {/* Star / read / archive / note */}
+      <StoryActions state={state} onChange={(patch) => onUpdate(storyKey, patch)} />
+    </div>
+  );
+}
+
+export default memo(StoryCard);
@@ -0,0 +1,157 @@
+import React, { useMemo, useState } from 'react';
+import SummaryField from './SummaryField';
+import { auditReport, auditSummary } from '../utils/siteAudit';
+
+// Backend placeholder for missing author/publisher
+const specified = (value) => (value && value !== 'Not specified' ? value : null);
+
+const AUDIT_ICONS = { pass: '✅', warn: '⚠️', fail: '❌' };
+const AUDIT_LABELS = { pass: 'Pass', warn: 'Warning', fail: 'Fail' };
+
+// Completeness score plus one pass/warn/fail line per check
+function AuditSection({ summary }) {
+  const audit = useMemo(() => auditSummary(summary), [summary]);
+  const [copied, setCopied] = useState(false);
+  const counts = audit.checks.reduce((acc, c) => ({ ...acc, [c.status]: acc[c.status] + 1 }), { pass: 0, warn: 0, fail: 0 });
+
+  const copyReport = () => {
+    navigator.clipboard?.writeText(auditReport(summary, audit))
+      .then(() => setCopied(true))
+      .catch(() => {});
+  };
+
+  return (
+    <div className="summary-section" role="region" aria-label="Metadata audit">
+      <div style={{display:'flex', alignItems:'center', gap:'12px', flexWrap:'wrap', marginBottom:'12px'}}>
+        <span style={{fontSize:'28px', fontWeight:'700'}}>{audit.score}%</span>
+        <span style={{opacity:0.9}}>
+          metadata completeness · {counts.pass} passed, {counts.warn} warning{counts.warn !== 1 ? 's' : ''}, {counts.fail} failed
+        </span>
+        {navigator.clipboard && (
+          <button className="summary-button" onClick={copyReport} style={{marginLeft:'auto'}}>
+            {copied ? '✓ Copied' : '📋 Copy report'}
+          </button>
+        )}
+      </div>
+      <ul className="audit-list">
+        {audit.checks.map(c => (
+          <li key={c.id} className={`audit-check audit-${c.status}`}>
+            <span role="img" aria-label={AUDIT_LABELS[c.status]}>{AUDIT_ICONS[c.status]}</span>
+            <strong>{c.label}</strong>
+            <span style={{wordBreak:'break-word'}}>{c.message}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/*
+  Website Information card - the `website_summary` block of a /scrape response.
+  "Audit" adds an SEO / metadata review of the same fields (utils/siteAudit).
+*/
+export default function SummaryCard({ summary }) {
+  const [auditing, setAuditing] = useState(false);
+  const keywords = (summary.keywords || '').split(',').map(k => k.trim()).filter(Boolean);
+
+  return (
+    <div className="summary-card">
+      <div className="summary-card-header">
+        <h3><span style={{fontSize:'32px'}}>🌐</span> Website Information</h3>
+        <div style={{display:'flex', alignItems:'center', gap:'12px'}}>
+          <button className="summary-button" onClick={() => setAuditing(!auditing)} aria-pressed={auditing}>
+            {auditing ? 'Hide audit' : '🔍 Audit'}
+          </button>
+          {/* Favicon display if available */}
+          {summary.favicon && (
+            <img src={summary.favicon} alt="favicon" onError={(e) => e.target.style.display = 'none'} />
+          )}
+        </div>
+      </div>
+
+      {auditing && <AuditSection summary={summary} />}
+
+      {/* Main info grid - 2 columns for better organization */}
+      <div className="summary-grid">
+        <div className="summary-section">
+          <SummaryField icon="📌" label="Title">
+            {summary.title && <span style={{fontSize:'16px', fontWeight:'500'}}>{summary.title}</span>}
+          </SummaryField>
+          <SummaryField icon="🔗" label="Domain">
+            {summary.domain && <span style={{fontFamily:'monospace'}}>{summary.domain}</span>}
+          </SummaryField>
+          <SummaryField icon="🏷️" label="Type">
+            {summary.type && <span className="summary-pill">{summary.type}</span>}
+          </SummaryField>
+          <SummaryField icon="🌍" label="Language" value={summary.language} />
+          <SummaryField
+            icon="🌟"
+            label="Site Name"
+            value={summary.site_name !== summary.domain ? summary.site_name : null}
+          />
+        </div>
+
+        <div className="summary-section">
+          <SummaryField icon="✍️" label="Author" value={specified(summary.author)} />
+          <SummaryField icon="📰" label="Publisher" value={specified(summary.publisher)} />
+          <SummaryField icon="🎨" label="Theme Color">
+            {summary.theme_color && (
+              <div style={{display:'flex', alignItems:'center', gap:'8px'}}>
+                <div style={{
+                  width:'24px',
+                  height:'24px',
+                  background:summary.theme_color,
+                  borderRadius:'4px',
+                  border:'2px solid rgba(255,255,255,0.5)'
+                }}></div>
+                <span style={{fontSize:'13px', fontFamily:'monospace'}}>{summary.theme_color}</span>
+              </div>
+            )}
+          </SummaryField>
+          <SummaryField icon="📱" label="App Name" value={summary.app_name} />
+          <SummaryField icon="©️" label="Copyright">
+            {summary.copyright && <span style={{fontSize:'12px', opacity:0.9}}>{summary.copyright}</span>}
+          </SummaryField>
+        </div>
+      </div>
+
+      {/* Website Description */}
+      {summary.description && (
+        <div className="summary-section">
+          <SummaryField icon="📝" label="About">
+            <p style={{margin:0, lineHeight:'1.7', background:'rgba(255,255,255,0.1)', padding:'12px', borderRadius:'6px'}}>
+              {summary.description}
+            </p>
+          </SummaryField>
+        </div>
+      )}
+
+      {/* Keywords */}
+      {keywords.length > 0 && (
+        <div className="summary-section">
+          <SummaryField icon="🔑" label="Keywords">
+            <div style={{display:'flex', flexWrap:'wrap', gap:'6px'}}>
+              {keywords.map((keyword, idx) => (
+                <span key={idx} className="summary-chip">{keyword}</span>
+              ))}
+            </div>
+          </SummaryField>
+        </div>
+      )}
+
+      {/* Featured Image Preview */}
+      {summary.image && (
+        <div className="summary-section">
+          <SummaryField icon="🖼️" label="Featured Image">
+            <img
+              src={summary.image}
+              alt="Featured"
+              style={{maxWidth:'100%', maxHeight:'200px', borderRadius:'6px', display:'block'}}
+              onError={(e) => e.target.closest('.summary-section').style.display = 'none'}
+            />
+          </SummaryField>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,16 @@
+import React from 'react';
+
+/*
+  One labelled value in the website summary card.
+  Renders nothing when there is no value, so optional fields can be listed unconditionally.
+*/
+export default function SummaryField({ icon, label, value, children }) {
+  if (!children && !value) return null;
+
+  return (
+    <div className="summary-field">
+      <strong className="summary-field-label">{icon} {label}</strong>
+      {children || <span>{value}</span>}
+    </div>
+  );
+}
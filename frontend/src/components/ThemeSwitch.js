@@ -0,0 +1,20 @@
+import React from 'react';
+import { THEMES } from '../hooks/useTheme';
+
+// Light / dark / system select (toolbar and settings page)
+export default function ThemeSwitch({ id, theme, onChange }) {
+  return (
+    <select
+      id={id}
+      className="select"
+      value={theme}
+      onChange={(e) => onChange(e.target.value)}
+      title="Color theme"
+      aria-label="Color theme"
+    >
+      {Object.entries(THEMES).map(([value, label]) => (
+        <option key={value} value={value}>{label}</option>
+      ))}
+    </select>
+  );
+}
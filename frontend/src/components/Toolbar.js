@@ -0,0 +1,14 @@
+import React from 'react';
+
+/*
+  Top bar layout: `start` on the left (user info, status badges),
+  children (action buttons) on the right. Wraps on narrow screens.
+*/
+export default function Toolbar({ start, children }) {
+  return (
+    <div className="toolbar">
+      <div className="toolbar-group">{start}</div>
+      <div className="toolbar-group">{children}</div>
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { TERM_TYPES, formatTerm, validateTerm } from '../utils/watchlists';
+
+const inputStyle = {padding:'6px', borderRadius:'4px', border:'1px solid var(--color-border)'};
+const rowStyle = {padding:'8px 0', borderBottom:'1px solid var(--color-border-subtle)'};
+const iconButton = {background:'transparent', border:'none', cursor:'pointer', padding:'2px 6px', color:'inherit'};
+const chipStyle = {
+  display:'inline-flex',
+  alignItems:'center',
+  gap:2,
+  background:'var(--color-surface-muted)',
+  border:'1px solid var(--color-border)',
+  borderRadius:12,
+  padding:'0 0 0 10px',
+  fontSize:12
+};
+
+const EMPTY_TERM = { type: 'keyword', pattern: '' };
+
+// Type select + pattern input + add button for one term
+function TermInput({ value, onChange, onAdd, buttonLabel, extraDisabled }) {
+  const error = value.pattern ? validateTerm(value) : null;
+  const disabled = !value.pattern.trim() || Boolean(error) || extraDisabled;
+  return (
+    <>
+      <div style={{display:'flex', gap:8, alignItems:'center', flexWrap:'wrap', marginTop:6}}>
+        <select value={value.type} onChange={(e) => onChange({ ...value, type: e.target.value })} style={inputStyle}>
+          {Object.entries(TERM_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+        </select>
+        <input
+          type="text"
+          placeholder={value.type === 'regex' ? 'e.g. \\b(remote|hybrid)\\b' : 'e.g. react'}
+          value={value.pattern}
+          onChange={(e) => onChange({ ...value, pattern: e.target.value })}
+          onKeyPress={(e) => e.key === 'Enter' && !disabled && onAdd()}
+          aria-invalid={Boolean(error)}
+          aria-label="Watch term"
+          style={{...inputStyle, flex:1, minWidth:160, border: error ? '1px solid var(--color-danger)' : inputStyle.border}}
+        />
+        <button className="button" onClick={onAdd} disabled={disabled}>{buttonLabel}</button>
+      </div>
+      {error && <div style={{fontSize:12, color:'var(--color-danger)', marginTop:4}}>{error}</div>}
+    </>
+  );
+}
+
+/*
+  Create, extend and delete keyword watchlists.
+  Terms are matched (case-insensitive) against story titles, snippets and sources.
+*/
+export default function WatchlistEditor({ watchlists, onChange }) {
+  const [name, setName] = useState('');
+  const [firstTerm, setFirstTerm] = useState(EMPTY_TERM);
+  const [termDrafts, setTermDrafts] = useState({}); // { [watchlistId]: term being added }
+
+  const update = (id, patch) => onChange(watchlists.map(w => (w.id === id ? { ...w, ...patch } : w)));
+
+  const addWatchlist = () => {
+    const trimmed = name.trim();
+    onChange([...watchlists, { id: Date.now(), name: trimmed, terms: [{ ...firstTerm, pattern: firstTerm.pattern.trim() }] }]);
+    setName('');
+    setFirstTerm({ ...firstTerm, pattern: '' });
+  };
+
+  const addTerm = (watchlist) => {
+    const draft = termDrafts[watchlist.id];
+    update(watchlist.id, { terms: [...watchlist.terms, { ...draft, pattern: draft.pattern.trim() }] });
+    setTermDrafts({ ...termDrafts, [watchlist.id]: { ...draft, pattern: '' } });
+  };
+
+  const removeTerm = (watchlist, index) => {
+    update(watchlist.id, { terms: watchlist.terms.filter((_, i) => i !== index) });
+  };
+
+  const removeWatchlist = (watchlist) => {
+    if (window.confirm(`Delete the "${watchlist.name}" watchlist and its hits?`)) {
+      onChange(watchlists.filter(w => w.id !== watchlist.id));
+    }
+  };
+
+  return (
+    <div>
+      <div style={{background:'var(--color-surface)', border:'1px solid var(--color-border-subtle)', borderRadius:6, padding:'0 12px'}}>
+        {watchlists.length === 0 && <div style={{...rowStyle, color:'var(--color-text-muted)', fontSize:13}}>No watchlists yet</div>}
+        {watchlists.map(watchlist => (
+          <div key={watchlist.id} style={rowStyle}>
+            <div style={{display:'flex', alignItems:'center', gap:8, flexWrap:'wrap'}}>
+              <strong style={{marginRight:4}}>{watchlist.name}</strong>
+              {watchlist.terms.map((term, i) => (
+                <span key={i} style={chipStyle}>
+                  <code>{formatTerm(term)}</code>
+                  <button style={iconButton} onClick={() => removeTerm(watchlist, i)} title="Remove term">✕</button>
+                </span>
+              ))}
+              {watchlist.terms.length === 0 && <span className="muted">No terms - matches nothing</span>}
+              <button style={{...iconButton, marginLeft:'auto'}} onClick={() => removeWatchlist(watchlist)} title="Delete watchlist">🗑️</button>
+            </div>
+            <TermInput
+              value={termDrafts[watchlist.id] || EMPTY_TERM}
+              onChange={(term) => setTermDrafts({ ...termDrafts, [watchlist.id]: term })}
+              onAdd={() => addTerm(watchlist)}
+              buttonLabel="Add term"
+            />
+          </div>
+        ))}
+      </div>
+
+      <h4 style={{marginBottom:4}}>New watchlist</h4>
+      <input
+        type="text"
+        placeholder="Watchlist name (e.g. Remote React jobs)"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        aria-label="Watchlist name"
+        style={{...inputStyle, width:'100%', boxSizing:'border-box'}}
+      />
+      <TermInput
+        value={firstTerm}
+        onChange={setFirstTerm}
+        onAdd={addWatchlist}
+        buttonLabel="Add watchlist"
+        extraDisabled={!name.trim()}
+      />
+      <p className="muted" style={{marginBottom:0}}>
+        Terms are matched against the title, snippet and source of every story a scrape brings in, on all sites.
+      </p>
+    </div>
+  );
+}
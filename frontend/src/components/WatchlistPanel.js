@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import Highlight from './Highlight';
+import WatchlistEditor from './WatchlistEditor';
+import { formatTerm } from '../utils/watchlists';
+
+// Hits listed before "Show more"
+const FEED_PAGE = 50;
+
+const hostOf = (siteUrl) => {
+  try {
+    return new URL(siteUrl).hostname;
+  } catch (e) {
+    return siteUrl;
+  }
+};
+
+// One hit: matched terms highlighted in the story's title, source and snippet
+function HitCard({ hit, watchlistName, canOpen, onOpenSite, onDismiss }) {
+  const { story, terms } = hit;
+  return (
+    <div className="story-card" style={{cursor:'default'}}>
+      <div style={{display:'flex', justifyContent:'space-between', gap:8}}>
+        <a href={story.link} target="_blank" rel="noreferrer" className="story-title">
+          {!hit.seen && <span className="story-new">NEW</span>}
+          <Highlight text={story.title} terms={terms} />
+        </a>
+        <button className="alert-close" onClick={() => onDismiss(hit.id)} title="Dismiss this hit" aria-label="Dismiss hit">✕</button>
+      </div>
+      {story.company && (
+        <div className="story-source">📌 Source: <Highlight text={story.company} terms={terms} /></div>
+      )}
+      {story.snippet && (
+        <div className="story-snippet"><Highlight text={story.snippet} terms={terms} /></div>
+      )}
+      <div className="muted" style={{display:'flex', alignItems:'center', gap:8, flexWrap:'wrap', fontSize:12, marginTop:6}}>
+        <span className="summary-pill" style={{background:'var(--color-primary)', color:'#fff'}}>{watchlistName}</span>
+        <span>{terms.map(formatTerm).join(', ')}</span>
+        <span>· {hostOf(hit.siteUrl)} · {new Date(hit.foundAt).toLocaleString()}</span>
+        {canOpen && (
+          <button className="button secondary" style={{padding:'2px 10px', fontSize:12}} onClick={() => onOpenSite(hit.siteUrl)}>
+            Open site
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/*
+  "Watchlist hits" feed across all sites, newest first, plus the
+  watchlist editor. Unseen hits carry a NEW tag until the panel is closed.
+*/
+export default function WatchlistPanel({
+  watchlists,
+  hits,
+  siteUrls,
+  onChangeWatchlists,
+  onDismiss,
+  onDismissAll,
+  onOpenSite,
+  onClose
+}) {
+  const [filter, setFilter] = useState('');   // watchlist id, '' = all
+  const [showEditor, setShowEditor] = useState(watchlists.length === 0);
+  const [limit, setLimit] = useState(FEED_PAGE);
+
+  const names = Object.fromEntries(watchlists.map(w => [w.id, w.name]));
+  const visible = hits.filter(hit => !hit.dismissed && (!filter || String(hit.watchlistId) === filter));
+
+  return (
+    <div className="panel" style={{border:'1px solid var(--color-border)'}}>
+      <div style={{display:'flex', justifyContent:'space-between', alignItems:'center', gap:8, flexWrap:'wrap'}}>
+        <strong>👁️ Watchlist hits</strong>
+        <div style={{display:'flex', gap:8}}>
+          <button className="button secondary" onClick={() => setShowEditor(!showEditor)}>
+            {showEditor ? 'Hide watchlists' : `Edit watchlists (${watchlists.length})`}
+          </button>
+          <button className="button secondary" onClick={onClose}>Close</button>
+        </div>
+      </div>
+
+      {showEditor && (
+        <>
+          <h4 style={{marginBottom:4}}>Watchlists</h4>
+          <WatchlistEditor watchlists={watchlists} onChange={onChangeWatchlists} />
+        </>
+      )}
+
+      {watchlists.length > 0 && (
+        <div style={{display:'flex', alignItems:'center', gap:8, marginTop:12, flexWrap:'wrap'}}>
+          <label htmlFor="watchlist-filter">Show</label>
+          <select id="watchlist-filter" className="select" value={filter} onChange={(e) => setFilter(e.target.value)}>
+            <option value="">All watchlists</option>
+            {watchlists.map(w => <option key={w.id} value={String(w.id)}>{w.name}</option>)}
+          </select>
+          <span className="muted">{visible.length} hit{visible.length !== 1 ? 's' : ''}</span>
+          {visible.length > 0 && (
+            <button
+              className="button secondary"
+              onClick={() => onDismissAll(filter ? watchlists.find(w => String(w.id) === filter)?.id : undefined)}
+              style={{marginLeft:'auto'}}
+            >
+              Dismiss all
+            </button>
+          )}
+        </div>
+      )}
+
+      {watchlists.length > 0 && visible.length === 0 && (
+        <p className="muted" style={{marginBottom:0}}>No hits yet. Matches appear here whenever a scrape brings in a story that mentions a term.</p>
+      )}
+
+      {visible.length > 0 && (
+        <div className="category-body" style={{borderRadius:6, marginTop:12}}>
+          {visible.slice(0, limit).map(hit => (
+            <HitCard
+              key={hit.id}
+              hit={hit}
+              watchlistName={names[hit.watchlistId]}
+              canOpen={siteUrls.includes(hit.siteUrl)}
+              onOpenSite={onOpenSite}
+              onDismiss={onDismiss}
+            />
+          ))}
+          {visible.length > limit && (
+            <div className="pagination">
+              <button className="button secondary" onClick={() => setLimit(limit + FEED_PAGE)}>
+                Show more ({visible.length - limit} left)
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
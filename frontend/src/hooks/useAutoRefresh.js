@@ -0,0 +1,52 @@
+import { useEffect, useRef } from 'react';
+
+// How often the scheduler looks for sites that are due
+const TICK_MS = 30000;
+
+/*
+  Runs refreshSite(url, signal) for every workspace whose autoRefreshMinutes
+  interval has passed since it was last checked.
+
+  - Only runs while the component using it is mounted (dashboard open)
+  - Sites are refreshed one at a time
+  - Unmounting aborts the refresh in progress through `signal`
+  - Nothing runs while serverHealthyRef.current is false, so a failing
+    backend is not hammered with retries
+*/
+export default function useAutoRefresh(workspacesRef, serverHealthyRef, refreshSite) {
+  // Keep the latest callback without restarting the timer
+  const refreshRef = useRef(refreshSite);
+  refreshRef.current = refreshSite;
+
+  useEffect(() => {
+    const controller = new AbortController();
+    let running = false;
+
+    const tick = async () => {
+      if (running || !serverHealthyRef.current) return;
+
+      const now = Date.now();
+      const due = Object.values(workspacesRef.current).filter(ws =>
+        ws.autoRefreshMinutes > 0
+        && now - (ws.lastCheckedAt || ws.updatedAt) >= ws.autoRefreshMinutes * 60000
+      );
+      if (due.length === 0) return;
+
+      running = true;
+      try {
+        for (const ws of due) {
+          if (controller.signal.aborted || !serverHealthyRef.current) break;
+          await refreshRef.current(ws.url, controller.signal);
+        }
+      } finally {
+        running = false;
+      }
+    };
+
+    const interval = setInterval(tick, TICK_MS);
+    return () => {
+      clearInterval(interval);
+      controller.abort();
+    };
+  }, [workspacesRef, serverHealthyRef]);
+}
@@ -0,0 +1,76 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { checkHealth, HttpError, OfflineError, TimeoutError } from '../services/apiClient';
+
+/*
+  Tracks backend connectivity by pinging /health.
+
+  status:
+    'online'   - last check succeeded
+    'degraded' - some checks failed, or the server answered with a 5xx
+    'offline'  - maxFailures checks in a row could not reach the server,
+                 or the browser reports no network
+
+  /health is pinged every intervalMs. Checks also run immediately when the
+  browser goes online/offline, so the dashboard recovers as soon as /health
+  answers again, and when `backend` (the configured URL) changes.
+*/
+export default function useConnectionStatus({ intervalMs = 30000, maxFailures = 3, backend = '' } = {}) {
+  const [state, setState] = useState({
+    status: 'online',
+    lastCheckedAt: null,
+    lastError: null
+  });
+  const checkRef = useRef(() => {});
+
+  useEffect(() => {
+    let failures = 0;
+    let cancelled = false;
+
+    const check = async () => {
+      try {
+        await checkHealth();
+        failures = 0;
+        if (!cancelled) setState({ status: 'online', lastCheckedAt: Date.now(), lastError: null });
+      } catch (err) {
+        if (cancelled) return;
+
+        if (err instanceof TimeoutError || err instanceof OfflineError) {
+          failures++;
+          console.warn(`Server health check failed (${failures}/${maxFailures}):`, err.message);
+          const offline = failures >= maxFailures || navigator.onLine === false;
+          setState({ status: offline ? 'offline' : 'degraded', lastCheckedAt: Date.now(), lastError: err.message });
+        } else {
+          // Server responded, so it's running - a 5xx still means it's unhealthy
+          failures = 0;
+          const unhealthy = err instanceof HttpError && err.status >= 500;
+          setState({
+            status: unhealthy ? 'degraded' : 'online',
+            lastCheckedAt: Date.now(),
+            lastError: unhealthy ? err.message : null
+          });
+        }
+      }
+    };
+
+    checkRef.current = check;
+
+    // Initial health check
+    check();
+
+    // Check on every interval
+    const interval = setInterval(check, intervalMs);
+    window.addEventListener('online', check);
+    window.addEventListener('offline', check);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+      window.removeEventListener('online', check);
+      window.removeEventListener('offline', check);
+    };
+  }, [intervalMs, maxFailures, backend]);
+
+  const checkNow = useCallback(() => checkRef.current(), []);
+
+  return { ...state, checkNow };
+}
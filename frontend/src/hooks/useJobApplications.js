@@ -0,0 +1,91 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  loadJobApplications,
+  saveJobApplication,
+  deleteJobApplication,
+  clearJobApplications
+} from '../services/storage';
+
+/*
+  Application pipeline per job, keyed by story key (the job link).
+
+  Each record keeps the job itself ({ title, link, company, snippet })
+  so tracked jobs stay listed after their site is refreshed or deleted,
+  and a dated history of every stage it went through.
+  Storage failures are passed to onError.
+*/
+export default function useJobApplications(onError) {
+  const [applications, setApplications] = useState({});
+
+  // Latest values for the stable callbacks below
+  const applicationsRef = useRef(applications);
+  applicationsRef.current = applications;
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadJobApplications()
+      .then(saved => !cancelled && setApplications(saved))
+      .catch(err => onErrorRef.current(err));
+
+    return () => { cancelled = true; };
+  }, []);
+
+  // Replace (or with null remove) one record in state
+  const store = useCallback((key, application) => {
+    const next = { ...applicationsRef.current };
+    if (application) next[key] = application;
+    else delete next[key];
+    applicationsRef.current = next;
+    setApplications(next);
+  }, []);
+
+  /*
+    Move a job to a pipeline stage (dated today), or stop tracking it with ''.
+    `job` is { story, siteUrl } - only needed the first time.
+  */
+  const setStage = useCallback((key, status, job) => {
+    const existing = applicationsRef.current[key];
+
+    if (!status) {
+      store(key, null);
+      deleteJobApplication(key).catch(err => onErrorRef.current(err));
+      return;
+    }
+    if (existing?.status === status) return;
+
+    const { title, link, company, snippet } = job?.story || existing.job;
+    const now = Date.now();
+    const next = {
+      key,
+      status,
+      history: [...(existing?.history || []), { status, at: now }],
+      job: { title, link, company, snippet },
+      siteUrl: job?.siteUrl || existing.siteUrl,
+      updatedAt: now
+    };
+    store(key, next);
+    saveJobApplication(next).catch(err => onErrorRef.current(err));
+  }, [store]);
+
+  // Correct the date of the current stage (e.g. applied yesterday)
+  const setStageDate = useCallback((key, at) => {
+    const existing = applicationsRef.current[key];
+    if (!existing || !existing.history.length) return;
+    const history = [...existing.history];
+    history[history.length - 1] = { ...history[history.length - 1], at };
+    const next = { ...existing, history, updatedAt: Date.now() };
+    store(key, next);
+    saveJobApplication(next).catch(err => onErrorRef.current(err));
+  }, [store]);
+
+  const clearAll = useCallback(() => {
+    applicationsRef.current = {};
+    setApplications({});
+    clearJobApplications().catch(err => onErrorRef.current(err));
+  }, []);
+
+  return { applications, setStage, setStageDate, clearAll };
+}
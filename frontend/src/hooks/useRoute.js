@@ -0,0 +1,41 @@
+import { useEffect, useMemo, useState } from 'react';
+import { parseRoute } from '../utils/routes';
+
+// Every mounted useRoute re-reads the location after navigate()
+const listeners = new Set();
+
+const readLocation = () => ({ pathname: window.location.pathname, search: window.location.search });
+
+/*
+  Go to an in-app path. Pushes a history entry (so back/forward work)
+  unless `replace` is set, e.g. for redirects.
+*/
+export function navigate(path, { replace = false } = {}) {
+  if (path === window.location.pathname + window.location.search) return;
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+  listeners.forEach(listener => listener());
+}
+
+/*
+  Current route from window.location (see utils/routes.js),
+  updated on navigate() and on browser back/forward.
+*/
+export default function useRoute() {
+  const [location, setLocation] = useState(readLocation);
+
+  useEffect(() => {
+    const update = () => setLocation(readLocation());
+    listeners.add(update);
+    window.addEventListener('popstate', update);
+    return () => {
+      listeners.delete(update);
+      window.removeEventListener('popstate', update);
+    };
+  }, []);
+
+  return useMemo(() => ({
+    ...parseRoute(location.pathname, location.search),
+    pathname: location.pathname,
+    search: location.search
+  }), [location]);
+}
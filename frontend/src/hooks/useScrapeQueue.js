@@ -0,0 +1,80 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { CancelledError } from '../services/apiClient';
+
+let nextJobId = 1;
+
+/*
+  Queue of URLs scraped with limited concurrency.
+
+  scrapeOne(url, signal) must resolve with the per-URL result
+  ({ itemCount, newItems, mode }) or throw.
+
+  Job status: 'queued' | 'running' | 'done' | 'failed' | 'cancelled'
+*/
+export default function useScrapeQueue(scrapeOne, concurrency) {
+  const [jobs, setJobs] = useState([]);
+  const controllersRef = useRef(new Map()); // job id -> AbortController
+
+  // Keep the latest scrape function without restarting running jobs
+  const scrapeRef = useRef(scrapeOne);
+  scrapeRef.current = scrapeOne;
+
+  const updateJob = (id, patch) =>
+    setJobs(prev => prev.map(job => (job.id === id ? { ...job, ...patch } : job)));
+
+  const runJob = useCallback(async (job) => {
+    const controller = new AbortController();
+    controllersRef.current.set(job.id, controller);
+    updateJob(job.id, { status: 'running', error: null });
+
+    try {
+      const result = await scrapeRef.current(job.url, controller.signal);
+      updateJob(job.id, { status: 'done', ...result });
+    } catch (err) {
+      updateJob(job.id, err instanceof CancelledError
+        ? { status: 'cancelled' }
+        : { status: 'failed', error: err.message });
+    } finally {
+      controllersRef.current.delete(job.id);
+    }
+  }, []);
+
+  // Start queued jobs whenever a slot is free
+  useEffect(() => {
+    const running = jobs.filter(job => job.status === 'running').length;
+    const free = concurrency - running;
+    if (free <= 0) return;
+    jobs.filter(job => job.status === 'queued').slice(0, free).forEach(runJob);
+  }, [jobs, concurrency, runJob]);
+
+  // Abort everything when the component using the queue unmounts
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => controllers.forEach(controller => controller.abort());
+  }, []);
+
+  const enqueue = useCallback((urls) => {
+    setJobs(prev => [
+      ...prev,
+      ...urls.map(url => ({ id: nextJobId++, url, status: 'queued', itemCount: null, newItems: null, error: null }))
+    ]);
+  }, []);
+
+  const retryFailed = useCallback(() => {
+    setJobs(prev => prev.map(job =>
+      job.status === 'failed' || job.status === 'cancelled' ? { ...job, status: 'queued', error: null } : job
+    ));
+  }, []);
+
+  const cancelAll = useCallback(() => {
+    controllersRef.current.forEach(controller => controller.abort());
+    setJobs(prev => prev.map(job => (job.status === 'queued' ? { ...job, status: 'cancelled' } : job)));
+  }, []);
+
+  // Drop finished jobs from the list, keep queued/running ones
+  const clearFinished = useCallback(() => {
+    setJobs(prev => prev.filter(job => job.status === 'queued' || job.status === 'running'));
+  }, []);
+
+  return { jobs, enqueue, retryFailed, cancelAll, clearFinished };
+}
@@ -0,0 +1,72 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+  EXPIRY_WARNING_MS,
+  clearProfile,
+  loadProfile,
+  loadToken,
+  revokeSession,
+  saveProfile,
+  saveToken
+} from '../services/session';
+
+const TICK_MS = 30000; // Re-evaluate the expiry every 30 seconds
+
+/*
+  Signed-in user + access token state for App.
+
+  status:
+    'active'   - token valid for more than EXPIRY_WARNING_MS
+    'expiring' - token expires soon, offer to renew
+    'expired'  - no valid token (expired, or a new tab where only the
+                 profile was restored); data stays browsable until re-auth
+    'rejected' - the backend answered 401/403 (requireAuth); cleared by renew
+*/
+export default function useSession() {
+  const [user, setUser] = useState(loadProfile);
+  const [token, setToken] = useState(loadToken);
+  const [now, setNow] = useState(Date.now());
+  const [rejected, setRejected] = useState(false);
+
+  useEffect(() => {
+    if (!user) return;
+    const timer = setInterval(() => setNow(Date.now()), TICK_MS);
+    return () => clearInterval(timer);
+  }, [user]);
+
+  // First sign-in: { profile, token } from completeSignIn
+  const signIn = useCallback(({ profile, token: nextToken }) => {
+    saveProfile(profile);
+    saveToken(nextToken);
+    setUser(profile);
+    setToken(nextToken);
+    setRejected(false);
+    setNow(Date.now());
+  }, []);
+
+  // Re-auth of the same user keeps everything but the token
+  const renew = useCallback((nextToken) => {
+    saveToken(nextToken);
+    setToken(nextToken);
+    setRejected(false);
+    setNow(Date.now());
+  }, []);
+
+  // The backend refused the token - ask the user to sign in again
+  const requireAuth = useCallback(() => setRejected(true), []);
+
+  const signOut = useCallback(() => {
+    revokeSession().catch(err => console.warn('Failed to revoke token', err.message));
+    clearProfile();
+    setUser(null);
+    setToken(null);
+    setRejected(false);
+  }, []);
+
+  const expiresIn = token ? token.expiresAt - now : 0;
+  const status = rejected ? 'rejected'
+    : expiresIn <= 0 ? 'expired'
+    : expiresIn < EXPIRY_WARNING_MS ? 'expiring'
+    : 'active';
+
+  return { user, status, expiresIn, signIn, renew, requireAuth, signOut };
+}
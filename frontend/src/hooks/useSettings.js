@@ -0,0 +1,57 @@
+import { useCallback, useEffect, useState } from 'react';
+import { getMeta, setMeta } from '../services/storage';
+import { configureApi } from '../services/apiClient';
+import { DEFAULT_SETTINGS, normalizeSettings, trimBaseUrl } from '../utils/settings';
+
+// Push the backend URL and timeouts into apiClient before anything re-renders with them
+function applySettings(settings) {
+  configureApi({
+    baseUrl: settings.apiUrl ? trimBaseUrl(settings.apiUrl) : null,
+    timeout: settings.requestTimeout * 1000,
+    healthTimeout: settings.healthTimeout * 1000
+  });
+}
+
+/*
+  The signed-in user's portal settings (see utils/settings.js).
+  Saved in the user's own database under the "settings" meta key;
+  signed-out screens use the defaults.
+  Returns [settings, saveSettings, loaded]:
+    saveSettings resolves with the normalised settings once stored
+    loaded is false until the user's saved settings are applied - until
+    then apiClient still points at the build-time backend, so nothing
+    should talk to it
+*/
+export default function useSettings(userId) {
+  const [settings, setSettingsState] = useState(DEFAULT_SETTINGS);
+  const [loadedFor, setLoadedFor] = useState(null); // user whose settings are applied
+
+  useEffect(() => {
+    let cancelled = false;
+    applySettings(DEFAULT_SETTINGS);
+    setSettingsState(DEFAULT_SETTINGS);
+    if (!userId) return;
+
+    getMeta('settings')
+      .then(saved => {
+        if (cancelled) return;
+        const next = normalizeSettings(saved);
+        applySettings(next);
+        setSettingsState(next);
+      })
+      // Carry on with the defaults rather than block the portal
+      .catch(err => console.error('Failed to load settings', err))
+      .then(() => !cancelled && setLoadedFor(userId));
+
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  const saveSettings = useCallback((draft) => {
+    const next = normalizeSettings(draft);
+    applySettings(next);
+    setSettingsState(next);
+    return (userId ? setMeta('settings', next) : Promise.resolve()).then(() => next);
+  }, [userId]);
+
+  return [settings, saveSettings, !userId || loadedFor === userId];
+}
@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { loadStoryStates, saveStoryState, clearStoryStates } from '../services/storage';
+
+/*
+  Per-story triage state (starred, read, archived, note), keyed by story link.
+
+  Kept in its own IndexedDB store instead of on the stories themselves,
+  so merge refreshes, re-scrapes and re-categorisation never lose it.
+  Storage failures are passed to onError.
+*/
+export default function useStoryStates(onError) {
+  const [states, setStates] = useState({});
+
+  // Latest values for the stable callbacks below
+  const statesRef = useRef(states);
+  statesRef.current = states;
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadStoryStates()
+      .then(saved => !cancelled && setStates(saved))
+      .catch(err => onErrorRef.current(err));
+
+    return () => { cancelled = true; };
+  }, []);
+
+  // Merge a patch into one story's state, e.g. updateStory(link, { starred: true })
+  const updateStory = useCallback((key, patch) => {
+    const next = { ...statesRef.current[key], ...patch, key, updatedAt: Date.now() };
+    statesRef.current = { ...statesRef.current, [key]: next };
+    setStates(statesRef.current);
+    saveStoryState(next).catch(err => onErrorRef.current(err));
+  }, []);
+
+  const clearAll = useCallback(() => {
+    statesRef.current = {};
+    setStates({});
+    clearStoryStates().catch(err => onErrorRef.current(err));
+  }, []);
+
+  return { states, updateStory, clearAll };
+}
@@ -0,0 +1,53 @@
+import { useCallback, useEffect, useState } from 'react';
+import { getMeta, setMeta } from '../services/storage';
+
+export const THEMES = { system: '🖥️ System', light: '☀️ Light', dark: '🌙 Dark' };
+
+const darkQuery = () => window.matchMedia?.('(prefers-color-scheme: dark)');
+
+// 'light' or 'dark' for a theme choice, following the OS for 'system'
+function resolveTheme(theme) {
+  if (theme === 'light' || theme === 'dark') return theme;
+  return darkQuery()?.matches ? 'dark' : 'light';
+}
+
+/*
+  Light / dark / system theme.
+  The choice is saved per user (meta key "theme" in their own database) and applied as
+  <html data-theme="light|dark">, which switches the CSS variables in App.css.
+  Signed-out screens follow the system theme.
+*/
+export default function useTheme(userId) {
+  const [theme, setThemeState] = useState('system');
+
+  // Load the user's saved choice
+  useEffect(() => {
+    let cancelled = false;
+    setThemeState('system');
+    if (!userId) return;
+
+    getMeta('theme')
+      .then(saved => !cancelled && THEMES[saved] && setThemeState(saved))
+      .catch(err => console.error('Failed to load theme', err));
+
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  // Apply it, and follow OS changes while on "system"
+  useEffect(() => {
+    const apply = () => { document.documentElement.dataset.theme = resolveTheme(theme); };
+    apply();
+    if (theme !== 'system') return;
+
+    const query = darkQuery();
+    query?.addEventListener?.('change', apply);
+    return () => query?.removeEventListener?.('change', apply);
+  }, [theme]);
+
+  const setTheme = useCallback((next) => {
+    setThemeState(next);
+    if (userId) setMeta('theme', next).catch(err => console.error('Failed to save theme', err));
+  }, [userId]);
+
+  return [theme, setTheme];
+}
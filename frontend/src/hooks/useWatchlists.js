@@ -0,0 +1,120 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { findHits } from '../utils/watchlists';
+import {
+  getMeta,
+  setMeta,
+  loadWatchlistHits,
+  saveWatchlistHits,
+  deleteWatchlistHits,
+  clearWatchlistHits,
+  MAX_WATCHLIST_HITS
+} from '../services/storage';
+
+/*
+  Keyword watchlists (meta "watchlists") and the hits they produced
+  ("watchlist_hits" store), both saved per user.
+
+  recordHits(siteUrl, data) matches freshly scraped data and returns the
+  new hits. Dismissed hits are kept (hidden, and never pruned) so a later
+  scrape of the same story doesn't bring them back. Storage failures are
+  passed to onError.
+*/
+export default function useWatchlists(onError) {
+  const [watchlists, setWatchlists] = useState([]);
+  const [hits, setHits] = useState([]); // newest first
+
+  // Latest values for the stable callbacks below
+  const watchlistsRef = useRef(watchlists);
+  watchlistsRef.current = watchlists;
+  const hitsRef = useRef(hits);
+  hitsRef.current = hits;
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all([getMeta('watchlists'), loadWatchlistHits()])
+      .then(([savedWatchlists, savedHits]) => {
+        if (cancelled) return;
+        watchlistsRef.current = savedWatchlists || [];
+        setWatchlists(watchlistsRef.current);
+        // Hits recorded while this was loading stay on top
+        hitsRef.current = [...hitsRef.current, ...savedHits.filter(hit => !hitsRef.current.some(h => h.id === hit.id))];
+        setHits(hitsRef.current);
+      })
+      .catch(err => onErrorRef.current(err));
+
+    return () => { cancelled = true; };
+  }, []);
+
+  const replaceHits = useCallback((next) => {
+    hitsRef.current = next;
+    setHits(next);
+  }, []);
+
+  // Save the watchlist definitions; hits of deleted watchlists go too
+  const saveWatchlists = useCallback((next) => {
+    watchlistsRef.current = next;
+    setWatchlists(next);
+    setMeta('watchlists', next).catch(err => onErrorRef.current(err));
+
+    const ids = new Set(next.map(w => w.id));
+    const orphaned = hitsRef.current.filter(hit => !ids.has(hit.watchlistId));
+    if (orphaned.length) {
+      replaceHits(hitsRef.current.filter(hit => ids.has(hit.watchlistId)));
+      deleteWatchlistHits(orphaned.map(hit => hit.id)).catch(err => onErrorRef.current(err));
+    }
+  }, [replaceHits]);
+
+  // Match scraped data against every watchlist; returns the new hits
+  const recordHits = useCallback((siteUrl, data) => {
+    if (!watchlistsRef.current.length) return [];
+    const known = new Set(hitsRef.current.map(hit => hit.id));
+    const found = findHits(watchlistsRef.current, siteUrl, data, known);
+    if (found.length) {
+      // Same pruning as saveWatchlistHits: the newest undismissed hits, every dismissed one
+      let active = 0;
+      replaceHits([...found, ...hitsRef.current].filter(hit => hit.dismissed || ++active <= MAX_WATCHLIST_HITS));
+      saveWatchlistHits(found).catch(err => onErrorRef.current(err));
+    }
+    return found;
+  }, [replaceHits]);
+
+  // Patch the hits picked by `select`, e.g. updateHits(hit => !hit.seen, { seen: true })
+  const updateHits = useCallback((select, patch) => {
+    const changed = [];
+    const next = hitsRef.current.map(hit => {
+      if (!select(hit)) return hit;
+      const updated = { ...hit, ...patch };
+      changed.push(updated);
+      return updated;
+    });
+    if (!changed.length) return;
+    replaceHits(next);
+    saveWatchlistHits(changed).catch(err => onErrorRef.current(err));
+  }, [replaceHits]);
+
+  const markAllSeen = useCallback(() => updateHits(hit => !hit.seen, { seen: true }), [updateHits]);
+  const dismissHit = useCallback((id) => updateHits(hit => hit.id === id, { dismissed: true, seen: true }), [updateHits]);
+  // Dismiss every hit, or only those of one watchlist
+  const dismissAll = useCallback((watchlistId) => updateHits(
+    hit => !hit.dismissed && (watchlistId === undefined || hit.watchlistId === watchlistId),
+    { dismissed: true, seen: true }
+  ), [updateHits]);
+
+  // Forget the hits of a deleted site (or every hit when no site is given)
+  const forgetSite = useCallback((siteUrl) => {
+    if (!siteUrl) {
+      replaceHits([]);
+      clearWatchlistHits().catch(err => onErrorRef.current(err));
+      return;
+    }
+    const removed = hitsRef.current.filter(hit => hit.siteUrl === siteUrl);
+    if (!removed.length) return;
+    replaceHits(hitsRef.current.filter(hit => hit.siteUrl !== siteUrl));
+    deleteWatchlistHits(removed.map(hit => hit.id)).catch(err => onErrorRef.current(err));
+  }, [replaceHits]);
+
+  return { watchlists, saveWatchlists, hits, recordHits, markAllSeen, dismissHit, dismissAll, forgetSite };
+}
@@ -3,9 +3,22 @@ import { createRoot } from 'react-dom/client';
 import App from './App';
 import './App.css';
 
-// Find the root div in index.html
-const container = document.getElementById('root');
+function render() {
+  // Find the root div in index.html
+  const container = document.getElementById('root');
 
-// Create React 18 root and render the App component
-const root = createRoot(container);
-root.render(<App />);
+  // Create React 18 root and render the App component
+  const root = createRoot(container);
+  root.render(<App />);
+}
+
+// Serve /health and /scrape from src/mocks instead of a real backend.
+// Loaded on demand so the mock stays out of normal builds.
+if (process.env.REACT_APP_MOCK_BACKEND === 'true') {
+  import('./mocks/mockBackend').then(({ installMockBackend }) => {
+    installMockBackend();
+    render();
+  });
+} else {
+  render();
+}
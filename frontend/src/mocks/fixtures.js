@@ -0,0 +1,88 @@
+/*
+  /scrape responses served by the mock backend, shaped like the real one:
+  `website_summary` plus one array per backend category (note the backend's
+  "OpenSource" spelling). Every category has at least one story.
+*/
+
+const story = (title, slug, company, snippet) => ({
+  title,
+  link: `https://news.example.com/${slug}`,
+  company,
+  snippet
+});
+
+export const NEWS_SUMMARY = {
+  title: 'Example News - Tech, AI and Startup Stories',
+  description: 'Daily links about programming, AI, startups, security and open source.',
+  keywords: 'tech, ai, startups, programming, open source',
+  domain: 'news.example.com',
+  type: 'website',
+  language: 'en',
+  site_name: 'Example News',
+  author: 'Not specified',
+  publisher: 'Example Media',
+  theme_color: '#ff6600',
+  app_name: 'Example News',
+  copyright: '© Example Media',
+  image: 'https://news.example.com/og.png',
+  favicon: 'https://news.example.com/favicon.ico'
+};
+
+// First scrape of news.example.com - one story per category (10 in total)
+export const NEWS_SCRAPE = {
+  website_summary: NEWS_SUMMARY,
+  Jobs: [story('Senior React Developer (Remote)', 'jobs/react-dev', 'Acme Corp', 'Full-time, remote within the EU.')],
+  AI: [story('A new open model beats GPT-4 on reasoning benchmarks', 'ai-model', 'AI Weekly', 'Benchmarks and caveats.')],
+  Tech: [story('Chip makers race to 2nm', 'chips-2nm', 'Tech Daily', 'What the node shrink means.')],
+  Startups: [story('Seed round for a developer tools startup', 'seed-round', 'Startup Wire', 'Raised $4M.')],
+  Tutorials: [story('How to build a CLI in Rust', 'rust-cli', 'Dev Guides', 'A step-by-step tutorial.')],
+  OpenSource: [story('Popular open source library hits 2.0', 'oss-2-0', 'GitHub', 'Breaking changes explained.')],
+  Programming: [story('Understanding JavaScript closures', 'js-closures', 'JS Monthly', 'Scopes and closures.')],
+  Web: [story('CSS container queries are everywhere', 'container-queries', 'Web Platform', 'Browser support tables.')],
+  Security: [story('Critical vulnerability patched in OpenSSL', 'openssl-cve', 'Security Now', 'Update today.')],
+  Other: [story('The history of the floppy disk', 'floppy', 'Retro Computing', 'A look back.')]
+};
+
+// Second scrape: the same stories plus one new AI story and one repeat under a new title
+export const NEWS_REFRESH = {
+  ...NEWS_SCRAPE,
+  AI: [
+    ...NEWS_SCRAPE.AI,
+    story('Small language models on the edge', 'edge-llms', 'AI Weekly', 'Running models on phones.')
+  ],
+  Tech: [
+    ...NEWS_SCRAPE.Tech,
+    // Same link as an existing story - must not be added twice
+    { ...NEWS_SCRAPE.Tech[0], title: 'Chip makers race to 2nm (updated)' }
+  ]
+};
+
+// A job board with more postings than fit on one page of the jobs view
+export const JOB_BOARD_SCRAPE = {
+  website_summary: { title: 'Example Jobs', description: 'Developer jobs.', domain: 'jobs.example.com', site_name: 'Example Jobs' },
+  Jobs: Array.from({ length: 60 }, (_, i) => ({
+    title: `Backend Engineer #${i + 1} - Berlin, DE`,
+    link: `https://jobs.example.com/postings/${i + 1}`,
+    company: 'Example Jobs',
+    snippet: 'Full-time, on-site.'
+  }))
+};
+
+/*
+  Responses per host, in order: the first scrape of a host gets [0],
+  the next [1], ... and the last one repeats.
+*/
+export const SCRAPE_FIXTURES = {
+  'news.example.com': [NEWS_SCRAPE, NEWS_REFRESH],
+  'jobs.example.com': [JOB_BOARD_SCRAPE]
+};
+
+// Any other host gets a small generic site
+export function genericScrape(url) {
+  const host = new URL(url).hostname;
+  return {
+    website_summary: { title: host, description: `Mock data for ${host}`, domain: host, site_name: host },
+    Tech: [{ title: `Hello from ${host}`, link: `https://${host}/hello`, company: host, snippet: 'Mock story' }],
+    Other: [{ title: `About ${host}`, link: `https://${host}/about`, company: host, snippet: '' }]
+  };
+}
@@ -0,0 +1,128 @@
+/*
+  In-repo stand-in for the scraper backend - a fetch() implementation that
+  answers like the real server, so the portal runs without it:
+    GET /health          -> 200 { status: 'ok' }
+    GET /scrape?url=...  -> fixture for the URL's host (see fixtures.js)
+
+  Used by the tests and by `REACT_APP_MOCK_BACKEND=true npm start`.
+  Requests to other origins (Google APIs) go to `fallbackFetch`.
+
+  Per-test controls:
+    setHealthy(false)             - /health and /scrape fail like an unreachable server
+    failNextScrape(status, body)  - the next /scrape answers with that error
+    requireAuth(true)             - /scrape requests without a Bearer token get 401
+    requests                      - every handled request: { method, path, url, headers }
+*/
+import { DEFAULT_API_URL } from '../services/apiClient';
+import { SCRAPE_FIXTURES, genericScrape } from './fixtures';
+
+// Minimal fetch Response - apiClient only reads ok, status, statusText and text()
+function jsonResponse(status, body, statusText = '') {
+  const text = body === undefined ? '' : JSON.stringify(body);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText,
+    headers: { get: (name) => (name.toLowerCase() === 'content-type' ? 'application/json' : null) },
+    text: async () => text,
+    json: async () => JSON.parse(text)
+  };
+}
+
+const abortError = () => Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+
+// Resolve after ms unless the request is aborted first
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(abortError());
+    }, { once: true });
+  });
+}
+
+export function createMockBackend({
+  baseUrl = DEFAULT_API_URL,
+  fixtures = SCRAPE_FIXTURES,
+  latency = 0,
+  fallbackFetch = null
+} = {}) {
+  const origin = new URL(baseUrl).origin;
+  let healthy = true;
+  let authRequired = false;
+  let nextScrapeError = null;
+  const scrapeCounts = {};
+  const requests = [];
+
+  const handleScrape = (params) => {
+    if (nextScrapeError) {
+      const { status, body } = nextScrapeError;
+      nextScrapeError = null;
+      return jsonResponse(status, body);
+    }
+
+    const target = params.get('url');
+    let host;
+    try {
+      host = new URL(target).hostname;
+    } catch (e) {
+      return jsonResponse(400, { error: 'Invalid URL' });
+    }
+
+    const responses = fixtures[host];
+    const count = scrapeCounts[host] || 0;
+    scrapeCounts[host] = count + 1;
+    if (!responses) return jsonResponse(200, genericScrape(target));
+    return jsonResponse(200, responses[Math.min(count, responses.length - 1)]);
+  };
+
+  const mockFetch = async (input, init = {}) => {
+    const url = new URL(typeof input === 'string' ? input : input.url);
+
+    if (url.origin !== origin) {
+      if (fallbackFetch) return fallbackFetch(input, init);
+      throw new TypeError(`Mock backend: no route for ${url.href}`);
+    }
+
+    const headers = init.headers || {};
+    requests.push({ method: init.method || 'GET', path: url.pathname, url: url.href, headers });
+
+    if (latency) await wait(latency, init.signal);
+    if (init.signal?.aborted) throw abortError();
+
+    // An unreachable server: fetch itself rejects
+    if (!healthy) throw new TypeError('Failed to fetch');
+
+    if (authRequired && url.pathname !== '/health' && !/^Bearer \S+/.test(headers.Authorization || '')) {
+      return jsonResponse(401, { error: 'Missing or invalid token' }, 'Unauthorized');
+    }
+
+    switch (url.pathname) {
+      case '/health':
+        return jsonResponse(200, { status: 'ok' });
+      case '/scrape':
+        return handleScrape(url.searchParams);
+      default:
+        return jsonResponse(404, { error: `Not found: ${url.pathname}` }, 'Not Found');
+    }
+  };
+
+  return {
+    fetch: mockFetch,
+    requests,
+    setHealthy: (value) => { healthy = value; },
+    requireAuth: (value) => { authRequired = value; },
+    failNextScrape: (status, body) => { nextScrapeError = { status, body }; },
+    scrapeCount: (host) => scrapeCounts[host] || 0
+  };
+}
+
+// Replace window.fetch for the whole app (dev mode without a backend)
+export function installMockBackend(options) {
+  const backend = createMockBackend({ latency: 400, fallbackFetch: window.fetch.bind(window), ...options });
+  window.fetch = backend.fetch;
+  console.info(`Mock backend active - /health and /scrape are served from src/mocks (${DEFAULT_API_URL})`);
+  return backend;
+}
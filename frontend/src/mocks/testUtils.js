@@ -0,0 +1,55 @@
+/*
+  Helpers shared by the integration tests: a clean browser per test
+  (IndexedDB, storages, session token, route) with the mock backend as fetch.
+*/
+import { IDBFactory } from 'fake-indexeddb';
+import { configureApi } from '../services/apiClient';
+import { clearToken } from '../services/session';
+import { loadWorkspaces, setMeta, setStorageUser } from '../services/storage';
+import { createMockBackend } from './mockBackend';
+
+export const TEST_USER = {
+  sub: 'test-user-1',
+  name: 'Test User',
+  email: 'test.user@example.com',
+  picture: 'https://example.com/avatar.png'
+};
+
+// Reset everything a previous test may have left behind; returns the mock backend
+export function setupPortal({ path = '/dashboard', ...backendOptions } = {}) {
+  setStorageUser(null);
+  window.indexedDB = new IDBFactory();
+  localStorage.clear();
+  sessionStorage.clear();
+  clearToken();
+  configureApi();
+  window.history.replaceState(null, '', path);
+
+  const backend = createMockBackend(backendOptions);
+  window.fetch = backend.fetch;
+  return backend;
+}
+
+/*
+  Wait until the signed-in user's database has finished opening, so no
+  upgrade transaction is still running when jsdom is torn down.
+*/
+export async function settleStorage() {
+  await loadWorkspaces().catch(() => {});
+}
+
+// What an earlier visit leaves behind: profile in localStorage, token in this tab's sessionStorage
+export function restoreSession(profile = TEST_USER, { expiresIn = 3600 } = {}) {
+  localStorage.setItem('scraper_user', JSON.stringify(profile));
+  sessionStorage.setItem('scraper_token', JSON.stringify({
+    accessToken: 'test-access-token',
+    expiresAt: Date.now() + expiresIn * 1000
+  }));
+}
+
+// Save portal settings for a user before the app loads them
+export async function saveUserSettings(settings, profile = TEST_USER) {
+  setStorageUser(profile.sub);
+  await setMeta('settings', settings);
+  setStorageUser(null);
+}
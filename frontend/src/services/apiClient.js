@@ -0,0 +1,253 @@
+/*
+  Shared HTTP client for the backend and Google APIs.
+
+  - Backend URL and timeouts can be changed at runtime (configureApi - the
+    user's settings), defaulting to REACT_APP_API_URL and the values below
+  - Real timeouts (fetch has no timeout option, so an AbortController is used)
+  - Cancellation through an AbortSignal passed by the caller
+  - Exponential-backoff retries for network errors only
+  - Backend requests carry the signed-in user's Google token
+    (Authorization: Bearer) from the provider set by services/session
+  - Typed errors so callers can tell what went wrong:
+      AuthError      - backend answered 401/403 (token missing, expired or rejected)
+      BackendError   - backend answered with a JSON { error } body
+      HttpError      - non-2xx status without a JSON error body
+      TimeoutError   - no answer within the timeout
+      OfflineError   - network failure / browser offline
+      CancelledError - the caller aborted the request
+*/
+
+// Build-time backend URL, used until the user's settings point elsewhere
+export const DEFAULT_API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_HEALTH_TIMEOUT = 5000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 500;
+
+/* ---------------------------------------------------------
+   Error types
+--------------------------------------------------------- */
+export class ApiError extends Error {
+  constructor(message, { status = null, body = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status; // HTTP status, when there was a response
+    this.body = body;     // parsed response body, when there was one
+  }
+}
+
+export class AuthError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthError';
+  }
+}
+
+export class BackendError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'BackendError';
+  }
+}
+
+export class HttpError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'HttpError';
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(message) {
+    super(message);
+    this.name = 'TimeoutError';
+  }
+}
+
+export class OfflineError extends ApiError {
+  constructor(message) {
+    super(message);
+    this.name = 'OfflineError';
+  }
+}
+
+export class CancelledError extends ApiError {
+  constructor(message) {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+/* ---------------------------------------------------------
+   Internals
+--------------------------------------------------------- */
+
+// Returns the current access token (or null) - set by services/session
+let authTokenProvider = () => null;
+
+// Runtime backend config - see configureApi
+let config = { baseUrl: DEFAULT_API_URL, timeout: DEFAULT_TIMEOUT, healthTimeout: DEFAULT_HEALTH_TIMEOUT };
+
+// Wait for ms, rejecting early if the signal is aborted
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new CancelledError('Request cancelled'));
+    }, { once: true });
+  });
+}
+
+// Read the body as JSON when possible, otherwise as text (or null when empty)
+async function readBody(res) {
+  const text = await res.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+// One fetch attempt with its own timeout, mapped to the error types above
+async function attempt(url, init, timeout, signal) {
+  if (signal?.aborted) throw new CancelledError('Request cancelled');
+
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  signal?.addEventListener('abort', abort, { once: true });
+
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+
+  try {
+    const res = await fetch(url, { ...init, signal: controller.signal });
+    const body = await readBody(res);
+
+    if (!res.ok) {
+      if (res.status === 401 || res.status === 403) {
+        const reason = body && typeof body === 'object' && body.error;
+        throw new AuthError(reason || `Not authorised (${res.status})`, { status: res.status, body });
+      }
+      if (body && typeof body === 'object' && body.error) {
+        throw new BackendError(body.error, { status: res.status, body });
+      }
+      throw new HttpError(`Server responded with ${res.status}${res.statusText ? ' ' + res.statusText : ''}`, {
+        status: res.status,
+        body
+      });
+    }
+
+    return body;
+  } catch (err) {
+    if (err instanceof ApiError) throw err;
+    if (timedOut) throw new TimeoutError(`No response after ${timeout / 1000}s`);
+    if (signal?.aborted) throw new CancelledError('Request cancelled');
+
+    const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+    throw new OfflineError(offline ? 'You appear to be offline' : 'Could not reach the server');
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+/* ---------------------------------------------------------
+   Public API
+--------------------------------------------------------- */
+
+/*
+  Point backend requests at another server or change timeouts (ms).
+  Missing values go back to the defaults.
+*/
+export function configureApi({ baseUrl, timeout, healthTimeout } = {}) {
+  config = {
+    baseUrl: baseUrl || DEFAULT_API_URL,
+    timeout: timeout || DEFAULT_TIMEOUT,
+    healthTimeout: healthTimeout || DEFAULT_HEALTH_TIMEOUT
+  };
+}
+
+// Backend URL requests currently go to
+export function getApiBaseUrl() {
+  return config.baseUrl;
+}
+
+// Register where backend requests get their bearer token from
+export function setAuthTokenProvider(provider) {
+  authTokenProvider = provider || (() => null);
+}
+
+/*
+  Make a request and resolve with the parsed body.
+  `path` is joined to the backend URL (or `baseUrl`) unless it is already an absolute URL.
+  Only paths on the configured backend get the Authorization header (not
+  an unsaved `baseUrl` being tested, nor `auth: false` requests); absolute
+  URLs (Google APIs) pass their own.
+*/
+export async function request(path, {
+  method = 'GET',
+  headers,
+  body,
+  baseUrl,
+  auth = true,
+  timeout = config.timeout,
+  retries = DEFAULT_RETRIES,
+  signal
+} = {}) {
+  const isBackend = !/^https?:\/\//.test(path);
+  const url = isBackend ? (baseUrl || config.baseUrl) + path : path;
+
+  const toConfiguredBackend = isBackend && (!baseUrl || baseUrl === config.baseUrl);
+  const token = auth && toConfiguredBackend ? authTokenProvider() : null;
+  const init = { method, headers: token ? { Authorization: `Bearer ${token}`, ...headers } : headers, body };
+
+  for (let i = 0; ; i++) {
+    try {
+      return await attempt(url, init, timeout, signal);
+    } catch (err) {
+      // Only network failures are worth retrying
+      if (!(err instanceof OfflineError) || i >= retries) throw err;
+      const delay = BACKOFF_BASE_MS * 2 ** i;
+      console.warn(`Request to ${url} failed, retrying in ${delay}ms`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+// Scrape a URL - resolves with the raw /scrape JSON
+export function scrape(url, options) {
+  return request('/scrape?url=' + encodeURIComponent(url), options);
+}
+
+// Ping the backend - resolves when the server answers with 2xx
+// (pass `baseUrl` to test a server before switching to it). Sent without the token.
+export function checkHealth(options) {
+  return request('/health', { timeout: config.healthTimeout, retries: 0, auth: false, ...options });
+}
+
+// Fetch the Google profile for an OAuth access token
+export function fetchGoogleUserInfo(accessToken, options) {
+  return request('https://www.googleapis.com/oauth2/v3/userinfo', {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    timeout: 10000,
+    ...options
+  });
+}
+
+// Revoke an OAuth access token so it can't be used after logout
+export function revokeGoogleToken(accessToken, options) {
+  return request('https://oauth2.googleapis.com/revoke', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: 'token=' + encodeURIComponent(accessToken),
+    timeout: 10000,
+    retries: 0,
+    ...options
+  });
+}
@@ -0,0 +1,127 @@
+/*
+  Google sign-in session.
+
+  - Only the profile (name, email, picture, sub) is persisted, in localStorage,
+    so the dashboard can be reopened without signing in again
+  - The OAuth access token lives in memory and sessionStorage only (gone when
+    the tab closes) together with its expiry from `expires_in`
+  - Every backend request sends that token as `Authorization: Bearer`
+  - Sessions saved by older versions kept the raw token in the profile;
+    it is stripped on load
+  - Storage follows the profile: loading, saving or clearing it switches
+    services/storage to that user's database
+*/
+import { fetchGoogleUserInfo, revokeGoogleToken, setAuthTokenProvider } from './apiClient';
+import { setStorageUser } from './storage';
+
+const PROFILE_KEY = 'scraper_user';
+const TOKEN_KEY = 'scraper_token';
+
+// Profile fields worth keeping - never the token
+const PROFILE_FIELDS = ['sub', 'name', 'given_name', 'family_name', 'email', 'picture'];
+
+// Warn this long before the token expires
+export const EXPIRY_WARNING_MS = 5 * 60 * 1000;
+
+let currentToken = null; // { accessToken, expiresAt }
+
+function pickProfile(userInfo) {
+  return Object.fromEntries(PROFILE_FIELDS.filter(key => userInfo[key] !== undefined).map(key => [key, userInfo[key]]));
+}
+
+// Stable id used to namespace a user's saved data
+export function userIdOf(profile) {
+  return profile?.sub || profile?.email || null;
+}
+
+/* ---------------------------------------------------------
+   Profile (localStorage)
+--------------------------------------------------------- */
+
+export function loadProfile() {
+  const saved = localStorage.getItem(PROFILE_KEY);
+  if (!saved) return null;
+
+  try {
+    const parsed = JSON.parse(saved);
+    // Old sessions stored the access token in the profile - drop it
+    if (parsed.token) localStorage.setItem(PROFILE_KEY, JSON.stringify(pickProfile(parsed)));
+    const profile = pickProfile(parsed);
+    setStorageUser(userIdOf(profile));
+    return profile;
+  } catch (e) {
+    console.error('Failed to parse saved user', e);
+    localStorage.removeItem(PROFILE_KEY);
+    return null;
+  }
+}
+
+export function saveProfile(profile) {
+  localStorage.setItem(PROFILE_KEY, JSON.stringify(pickProfile(profile)));
+  setStorageUser(userIdOf(profile));
+}
+
+export function clearProfile() {
+  localStorage.removeItem(PROFILE_KEY);
+  setStorageUser(null);
+}
+
+/* ---------------------------------------------------------
+   Access token (memory + sessionStorage)
+--------------------------------------------------------- */
+
+// Token from a useGoogleLogin response: { access_token, expires_in }
+export function tokenFromResponse(tokenResponse) {
+  return {
+    accessToken: tokenResponse.access_token,
+    expiresAt: Date.now() + (Number(tokenResponse.expires_in) || 3600) * 1000
+  };
+}
+
+export function loadToken() {
+  if (currentToken) return currentToken;
+  try {
+    currentToken = JSON.parse(sessionStorage.getItem(TOKEN_KEY));
+  } catch (e) {
+    currentToken = null;
+  }
+  return currentToken;
+}
+
+export function saveToken(token) {
+  currentToken = token;
+  sessionStorage.setItem(TOKEN_KEY, JSON.stringify(token));
+}
+
+export function clearToken() {
+  currentToken = null;
+  sessionStorage.removeItem(TOKEN_KEY);
+}
+
+// The access token while it is still valid, otherwise null
+export function getAccessToken() {
+  const token = loadToken();
+  return token && token.expiresAt > Date.now() ? token.accessToken : null;
+}
+
+/* ---------------------------------------------------------
+   Sign-in helpers
+--------------------------------------------------------- */
+
+// Fetch the Google profile for a fresh token response
+export async function completeSignIn(tokenResponse) {
+  const userInfo = await fetchGoogleUserInfo(tokenResponse.access_token);
+  return { profile: pickProfile(userInfo), token: tokenFromResponse(tokenResponse) };
+}
+
+// Revoke the current token with Google (best effort) and forget it
+export async function revokeSession() {
+  const token = loadToken();
+  clearToken();
+  if (token?.accessToken && token.expiresAt > Date.now()) {
+    await revokeGoogleToken(token.accessToken);
+  }
+}
+
+// Backend requests (apiClient) send the current token
+setAuthTokenProvider(getAccessToken);
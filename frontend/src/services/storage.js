@@ -0,0 +1,682 @@
+/*
+  Persistent storage for scraped data, backed by IndexedDB.
+
+  - Workspaces (one per scraped site) live in the "workspaces" store, keyed by URL
+  - Small values (active site etc.) live in the "meta" store
+  - Scrape snapshots live in "snapshots", per-story state (star, read,
+    archived, note) in "story_states", keyed by story link, keyword
+    watchlist matches in "watchlist_hits" and the job application
+    pipeline in "job_applications", keyed by job link
+  - The schema is versioned: every entry in `migrations` upgrades the database
+    by one version, so new stores/fields are added by appending a migration
+  - Every signed-in user gets their own database (setStorageUser), so people
+    sharing a browser never see each other's sites, summaries or settings
+  - Data saved before that (one shared database, or localStorage in even
+    older versions) is only moved into an account on request - see
+    findLegacyData / importLegacyData
+  - When IndexedDB is not available (old browsers, some private modes)
+    an in-memory store is used so the app still works for the session
+*/
+
+import { parseScrapeUrl } from '../utils/url';
+
+const DB_NAME = 'scraper_portal';
+
+// Thrown when the browser refuses to store more data
+export class StorageQuotaError extends Error {
+  constructor() {
+    super('Browser storage is full. Delete some sites from the history and try again.');
+    this.name = 'StorageQuotaError';
+  }
+}
+
+/* ---------------------------------------------------------
+   Migrations - migrations[n] upgrades version n to n + 1
+--------------------------------------------------------- */
+const migrations = [
+  // v0 -> v1: create stores (localStorage data is imported on request, see importLegacyData)
+  (db) => {
+    db.createObjectStore('workspaces', { keyPath: 'url' });
+    db.createObjectStore('meta');
+  },
+
+  // v1 -> v2: re-key workspaces by canonical URL so "x.com/" and "X.com" are one site
+  (db, tx) => {
+    rekeyWorkspaces(tx);
+  },
+
+  // v2 -> v3: one snapshot per scrape, looked up by site URL
+  (db) => {
+    const snapshots = db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+    snapshots.createIndex('url', 'url');
+  },
+
+  // v3 -> v4: per-story triage state, kept apart from scraped data so refreshes don't touch it
+  (db) => {
+    db.createObjectStore('story_states', { keyPath: 'key' });
+  },
+
+  // v4 -> v5: stories matched by the user's keyword watchlists, pruned oldest first
+  (db) => {
+    const hits = db.createObjectStore('watchlist_hits', { keyPath: 'id' });
+    hits.createIndex('foundAt', 'foundAt');
+  },
+
+  // v5 -> v6: application pipeline per job link (saved / applied / interviewing / rejected / offer)
+  (db) => {
+    db.createObjectStore('job_applications', { keyPath: 'key' });
+  }
+];
+
+// Oldest snapshots beyond this are pruned so history can't fill the quota
+export const MAX_SNAPSHOTS_PER_SITE = 20;
+
+// Watchlist hits kept across all sites (oldest are pruned). Dismissed hits
+// don't count and are never pruned - they stop the story coming back.
+export const MAX_WATCHLIST_HITS = 500;
+
+export const DB_VERSION = migrations.length;
+
+// Keys written by the localStorage based versions of the portal
+const LEGACY_KEYS = [
+  'scraper_workspaces',
+  'scraper_active_site',
+  'scraper_data',
+  'scraper_last_url',
+  'scraper_website_summary'
+];
+
+function readLegacyJson(key) {
+  try {
+    const value = localStorage.getItem(key);
+    return value ? JSON.parse(value) : null;
+  } catch (e) {
+    console.error(`Failed to parse legacy ${key}`, e);
+    return null;
+  }
+}
+
+const canonicalUrl = (url) => parseScrapeUrl(url).url || url;
+
+/*
+  Workspaces saved by the localStorage versions: scraper_workspaces
+  (multi-site history) and the older single scraper_data /
+  scraper_website_summary slot. null when there are none - keys left
+  without any site (a logout keeps scraper_last_url and the summary)
+  are removed then.
+*/
+function readLocalStorageData() {
+  if (!LEGACY_KEYS.some(key => localStorage.getItem(key) !== null)) return null;
+
+  const workspaces = readLegacyJson('scraper_workspaces') || {};
+  let activeSite = localStorage.getItem('scraper_active_site');
+
+  const legacyData = readLegacyJson('scraper_data');
+  if (legacyData) {
+    const summary = readLegacyJson('scraper_website_summary');
+    const legacyUrl = localStorage.getItem('scraper_last_url')
+      || (summary?.domain ? 'https://' + summary.domain : 'Previous scrape');
+
+    if (!workspaces[legacyUrl]) {
+      workspaces[legacyUrl] = {
+        url: legacyUrl,
+        data: legacyData,
+        websiteSummary: summary,
+        createdAt: Date.now(),
+        updatedAt: Date.now()
+      };
+    }
+    activeSite = activeSite || legacyUrl;
+  }
+
+  if (!Object.keys(workspaces).length) {
+    LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+    return null;
+  }
+
+  return {
+    workspaces: Object.values(workspaces).map(ws => ({ ...ws, url: canonicalUrl(ws.url) })),
+    activeSite: activeSite ? canonicalUrl(activeSite) : null
+  };
+}
+
+/*
+  Rewrite every workspace under its canonical URL (see utils/url.js).
+  When two old keys collapse into one, the most recently updated one wins.
+*/
+function rekeyWorkspaces(tx) {
+  const workspaceStore = tx.objectStore('workspaces');
+  const metaStore = tx.objectStore('meta');
+
+  workspaceStore.getAll().onsuccess = (event) => {
+    const byUrl = {};
+    event.target.result.forEach(ws => {
+      const url = canonicalUrl(ws.url);
+      if (!byUrl[url] || byUrl[url].updatedAt < ws.updatedAt) byUrl[url] = { ...ws, url };
+    });
+
+    workspaceStore.clear();
+    Object.values(byUrl).forEach(ws => workspaceStore.put(ws));
+  };
+
+  metaStore.get('active_site').onsuccess = (event) => {
+    const activeSite = event.target.result;
+    if (activeSite) metaStore.put(canonicalUrl(activeSite), 'active_site');
+  };
+}
+
+/* ---------------------------------------------------------
+   Database connection - one database per user
+--------------------------------------------------------- */
+let currentUser = null;
+let dbPromise = null;
+
+// Database name for a user - never the shared DB_NAME of older versions
+const dbNameFor = (userId) => `${DB_NAME}:${userId}`;
+
+// Close the open connection (if any) so the next call opens the right database
+function closeDb() {
+  const pending = dbPromise;
+  dbPromise = null;
+  pending?.then(db => db.close(), () => {});
+}
+
+function toStorageError(err) {
+  if (err && err.name === 'QuotaExceededError') return new StorageQuotaError();
+  return err || new Error('Unknown storage error');
+}
+
+// Run every migration between the stored version and DB_VERSION
+function migrate(request, oldVersion) {
+  for (let v = oldVersion; v < DB_VERSION; v++) {
+    migrations[v](request.result, request.transaction);
+  }
+}
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  if (!currentUser) return Promise.reject(new Error('Storage is not available before signing in'));
+
+  const promise = new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(dbNameFor(currentUser), DB_VERSION);
+
+    request.onupgradeneeded = (event) => migrate(request, event.oldVersion);
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another tab is deleting or upgrading this database - let it
+      db.onversionchange = () => {
+        db.close();
+        if (dbPromise === promise) dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => {
+      if (dbPromise === promise) dbPromise = null;
+      reject(toStorageError(request.error));
+    };
+  });
+
+  dbPromise = promise;
+  return promise;
+}
+
+/*
+  Run requests against a store and resolve with the result of the request
+  returned by makeRequest (if any) once the transaction has committed
+  (so quota errors are caught).
+*/
+async function run(storeName, mode, makeRequest) {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = makeRequest(tx.objectStore(storeName));
+
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(toStorageError(tx.error || request.error));
+    tx.onabort = () => reject(toStorageError(tx.error));
+  });
+}
+
+function deleteDb(name) {
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.deleteDatabase(name);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(toStorageError(request.error));
+    // Another tab still has the database open - it is deleted once that tab closes it
+    request.onblocked = () => console.warn('Deleting saved data is waiting for other tabs to close');
+  });
+}
+
+/* ---------------------------------------------------------
+   Data saved before storage was per user
+   - the shared "scraper_portal" database
+   - localStorage keys of the versions before IndexedDB
+   It may belong to anyone who used this browser, so it is never opened
+   as someone's database: it is only copied into an account when that
+   user confirms it is theirs.
+--------------------------------------------------------- */
+const DATA_STORES = ['workspaces', 'meta', 'snapshots', 'story_states', 'watchlist_hits', 'job_applications'];
+
+/*
+  The shared database at whatever version it was left at (it is only
+  read, never upgraded), or null if there is none.
+*/
+function openLegacyDb() {
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(DB_NAME);
+    let missing = false;
+
+    // Only called when the database doesn't exist - opening it would create it
+    request.onupgradeneeded = () => {
+      missing = true;
+      request.transaction.abort();
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = (event) => {
+      if (!missing) return reject(toStorageError(request.error));
+      event.preventDefault();
+      resolve(null);
+    };
+  });
+}
+
+/*
+  Every record of every store; meta as [key, value] pairs. Stores an older
+  version didn't have yet are empty, and sites are re-keyed by canonical URL
+  like the v1 -> v2 migration does.
+*/
+function readStores(db) {
+  return new Promise((resolve, reject) => {
+    const names = DATA_STORES.filter(name => db.objectStoreNames.contains(name));
+    const tx = db.transaction(names, 'readonly');
+    const records = Object.fromEntries(DATA_STORES.map(name => [name, []]));
+
+    names.forEach(name => {
+      tx.objectStore(name).getAll().onsuccess = (event) => { records[name] = event.target.result; };
+    });
+    tx.objectStore('meta').getAllKeys().onsuccess = (event) => { records.metaKeys = event.target.result; };
+
+    tx.oncomplete = () => {
+      const { metaKeys, meta, workspaces, ...rest } = records;
+      resolve({
+        ...rest,
+        workspaces: workspaces.map(ws => ({ ...ws, url: canonicalUrl(ws.url) })),
+        meta: metaKeys.map((key, i) => [key, key === 'active_site' && meta[i] ? canonicalUrl(meta[i]) : meta[i]])
+      });
+    };
+    tx.onerror = () => reject(toStorageError(tx.error));
+  });
+}
+
+// Legacy data in the shape of readStores, or null when there is none
+async function readLegacyData() {
+  const local = readLocalStorageData();
+  const db = await openLegacyDb();
+  if (!db && !local) return null;
+
+  let records = Object.fromEntries(DATA_STORES.map(name => [name, []]));
+  if (db) {
+    try {
+      records = await readStores(db);
+    } finally {
+      db.close();
+    }
+  }
+  if (local) {
+    records.workspaces.push(...local.workspaces);
+    if (local.activeSite) records.meta.push(['active_site', local.activeSite]);
+  }
+
+  // One record per site, the most recently updated one
+  const byUrl = {};
+  records.workspaces.forEach(ws => {
+    if (!byUrl[ws.url] || (byUrl[ws.url].updatedAt || 0) < (ws.updatedAt || 0)) byUrl[ws.url] = ws;
+  });
+  return { ...records, workspaces: Object.values(byUrl) };
+}
+
+/*
+  Copy legacy records into a user's database. The newest copy of a site
+  wins; for everything else the user's own records are kept.
+*/
+function copyInto(db, records) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(DATA_STORES, 'readwrite');
+    const putIfMissing = (store, key, put) => {
+      store.getKey(key).onsuccess = (event) => { if (event.target.result === undefined) put(); };
+    };
+
+    const workspaces = tx.objectStore('workspaces');
+    records.workspaces.forEach(ws => {
+      workspaces.get(ws.url).onsuccess = (event) => {
+        const own = event.target.result;
+        if (!own || (own.updatedAt || 0) < (ws.updatedAt || 0)) workspaces.put(ws);
+      };
+    });
+
+    const meta = tx.objectStore('meta');
+    records.meta.forEach(([key, value]) => putIfMissing(meta, key, () => meta.put(value, key)));
+
+    const snapshots = tx.objectStore('snapshots');
+    records.snapshots.forEach(({ id, ...snapshot }) => snapshots.add(snapshot));
+
+    [['story_states', 'key'], ['watchlist_hits', 'id'], ['job_applications', 'key']].forEach(([name, keyPath]) => {
+      const store = tx.objectStore(name);
+      records[name].forEach(record => putIfMissing(store, record[keyPath], () => store.put(record)));
+    });
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(toStorageError(tx.error));
+    tx.onabort = () => reject(toStorageError(tx.error));
+  });
+}
+
+async function importLegacyInto(db) {
+  const records = await readLegacyData();
+  if (records) await copyInto(db, records);
+  await discardLegacyData();
+}
+
+/* ---------------------------------------------------------
+   In-memory fallback used when IndexedDB is unavailable
+--------------------------------------------------------- */
+const createMemoryStore = () => ({
+  workspaces: new Map(),
+  meta: new Map(),
+  snapshots: [],
+  nextSnapshotId: 1,
+  storyStates: new Map(),
+  watchlistHits: new Map(),
+  jobApplications: new Map()
+});
+const memoryByUser = new Map();
+let memory = createMemoryStore();
+
+const hasIndexedDb = () => typeof window !== 'undefined' && !!window.indexedDB;
+
+/* ---------------------------------------------------------
+   Public API
+--------------------------------------------------------- */
+
+/*
+  Point storage at a user's database (Google `sub`, or email).
+  null when signed out - every call then fails until the next sign-in.
+*/
+export function setStorageUser(userId) {
+  const next = userId || null;
+  if (next === currentUser) return;
+
+  closeDb();
+  currentUser = next;
+
+  if (!memoryByUser.has(next)) memoryByUser.set(next, createMemoryStore());
+  memory = memoryByUser.get(next);
+}
+
+// Delete everything saved for a user on this device
+export async function deleteUserData(userId) {
+  memoryByUser.delete(userId);
+  if (userId === currentUser) {
+    closeDb();
+    memory = createMemoryStore();
+    memoryByUser.set(userId, memory);
+  }
+  if (!hasIndexedDb()) return;
+  await deleteDb(dbNameFor(userId));
+}
+
+/*
+  Data saved before storage was per user that the signed-in user could
+  import: { siteCount }, or null when there is none. Leftovers without a
+  single site are deleted instead of offered.
+*/
+export async function findLegacyData() {
+  if (!hasIndexedDb()) return null;
+  const records = await readLegacyData();
+  if (records?.workspaces.length) return { siteCount: records.workspaces.length };
+
+  if (records) await discardLegacyData();
+  return null;
+}
+
+// Copy the legacy data into the signed-in user's database, then delete it
+export async function importLegacyData() {
+  const db = await openDb();
+  await importLegacyInto(db);
+}
+
+// Delete the legacy data without importing it
+export async function discardLegacyData() {
+  LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+  if (hasIndexedDb()) await deleteDb(DB_NAME);
+}
+
+// Returns all workspaces as an object keyed by URL
+export async function loadWorkspaces() {
+  const list = hasIndexedDb()
+    ? await run('workspaces', 'readonly', store => store.getAll())
+    : [...memory.workspaces.values()];
+
+  return list.reduce((acc, ws) => ({ ...acc, [ws.url]: ws }), {});
+}
+
+export async function saveWorkspace(workspace) {
+  if (!hasIndexedDb()) {
+    memory.workspaces.set(workspace.url, workspace);
+    return;
+  }
+  await run('workspaces', 'readwrite', store => store.put(workspace));
+}
+
+export async function deleteWorkspace(url) {
+  if (!hasIndexedDb()) {
+    memory.workspaces.delete(url);
+    return;
+  }
+  await run('workspaces', 'readwrite', store => store.delete(url));
+}
+
+export async function clearWorkspaces() {
+  if (!hasIndexedDb()) {
+    memory.workspaces.clear();
+    return;
+  }
+  await run('workspaces', 'readwrite', store => store.clear());
+}
+
+export async function getMeta(key) {
+  if (!hasIndexedDb()) return memory.meta.get(key);
+  return run('meta', 'readonly', store => store.get(key));
+}
+
+export async function setMeta(key, value) {
+  if (!hasIndexedDb()) {
+    memory.meta.set(key, value);
+    return;
+  }
+  await run('meta', 'readwrite', store => store.put(value, key));
+}
+
+export async function deleteMeta(key) {
+  if (!hasIndexedDb()) {
+    memory.meta.delete(key);
+    return;
+  }
+  await run('meta', 'readwrite', store => store.delete(key));
+}
+
+/* ---------------------------------------------------------
+   Snapshots - one record per scrape: { id, url, takenAt, data, websiteSummary }
+--------------------------------------------------------- */
+
+// Store a snapshot and prune the site's oldest ones beyond MAX_SNAPSHOTS_PER_SITE
+export async function saveSnapshot(snapshot) {
+  if (!hasIndexedDb()) {
+    memory.snapshots.push({ ...snapshot, id: memory.nextSnapshotId++ });
+    const forSite = memory.snapshots.filter(s => s.url === snapshot.url);
+    const drop = new Set(forSite.slice(0, Math.max(0, forSite.length - MAX_SNAPSHOTS_PER_SITE)));
+    memory.snapshots = memory.snapshots.filter(s => !drop.has(s));
+    return;
+  }
+
+  await run('snapshots', 'readwrite', store => {
+    store.add(snapshot);
+    // Keys come back oldest first (ascending id)
+    store.index('url').getAllKeys(snapshot.url).onsuccess = (event) => {
+      const keys = event.target.result;
+      keys.slice(0, Math.max(0, keys.length - MAX_SNAPSHOTS_PER_SITE)).forEach(key => store.delete(key));
+    };
+  });
+}
+
+// All snapshots of a site, oldest first
+export async function loadSnapshots(url) {
+  const list = hasIndexedDb()
+    ? await run('snapshots', 'readonly', store => store.index('url').getAll(url))
+    : memory.snapshots.filter(s => s.url === url);
+
+  return [...list].sort((a, b) => a.takenAt - b.takenAt);
+}
+
+export async function deleteSnapshots(url) {
+  if (!hasIndexedDb()) {
+    memory.snapshots = memory.snapshots.filter(s => s.url !== url);
+    return;
+  }
+  await run('snapshots', 'readwrite', store => {
+    store.index('url').getAllKeys(url).onsuccess = (event) => {
+      event.target.result.forEach(key => store.delete(key));
+    };
+  });
+}
+
+export async function clearSnapshots() {
+  if (!hasIndexedDb()) {
+    memory.snapshots = [];
+    return;
+  }
+  await run('snapshots', 'readwrite', store => store.clear());
+}
+
+/* ---------------------------------------------------------
+   Story states - { key, starred, read, archived, note, updatedAt }
+--------------------------------------------------------- */
+
+// Returns all story states as an object keyed by story key
+export async function loadStoryStates() {
+  const list = hasIndexedDb()
+    ? await run('story_states', 'readonly', store => store.getAll())
+    : [...memory.storyStates.values()];
+
+  return Object.fromEntries(list.map(state => [state.key, state]));
+}
+
+export async function saveStoryState(state) {
+  if (!hasIndexedDb()) {
+    memory.storyStates.set(state.key, state);
+    return;
+  }
+  await run('story_states', 'readwrite', store => store.put(state));
+}
+
+export async function clearStoryStates() {
+  if (!hasIndexedDb()) {
+    memory.storyStates.clear();
+    return;
+  }
+  await run('story_states', 'readwrite', store => store.clear());
+}
+
+/* ---------------------------------------------------------
+   Watchlist hits - { id, watchlistId, siteUrl, story, terms, foundAt, seen, dismissed }
+--------------------------------------------------------- */
+
+// All hits, newest first
+export async function loadWatchlistHits() {
+  const list = hasIndexedDb()
+    ? await run('watchlist_hits', 'readonly', store => store.getAll())
+    : [...memory.watchlistHits.values()];
+
+  return [...list].sort((a, b) => b.foundAt - a.foundAt);
+}
+
+// Hits to prune from a list ordered oldest first: undismissed ones beyond MAX_WATCHLIST_HITS
+function prunableHits(oldestFirst) {
+  const active = oldestFirst.filter(hit => !hit.dismissed);
+  return active.slice(0, Math.max(0, active.length - MAX_WATCHLIST_HITS));
+}
+
+// Store (or update) hits and prune the oldest undismissed ones beyond MAX_WATCHLIST_HITS
+export async function saveWatchlistHits(hits) {
+  if (!hasIndexedDb()) {
+    hits.forEach(hit => memory.watchlistHits.set(hit.id, hit));
+    const oldestFirst = [...memory.watchlistHits.values()].sort((a, b) => a.foundAt - b.foundAt);
+    prunableHits(oldestFirst).forEach(hit => memory.watchlistHits.delete(hit.id));
+    return;
+  }
+
+  await run('watchlist_hits', 'readwrite', store => {
+    hits.forEach(hit => store.put(hit));
+    // Hits come back ordered by foundAt, oldest first
+    store.index('foundAt').getAll().onsuccess = (event) => {
+      prunableHits(event.target.result).forEach(hit => store.delete(hit.id));
+    };
+  });
+}
+
+export async function deleteWatchlistHits(ids) {
+  if (!hasIndexedDb()) {
+    ids.forEach(id => memory.watchlistHits.delete(id));
+    return;
+  }
+  await run('watchlist_hits', 'readwrite', store => {
+    ids.forEach(id => store.delete(id));
+  });
+}
+
+export async function clearWatchlistHits() {
+  if (!hasIndexedDb()) {
+    memory.watchlistHits.clear();
+    return;
+  }
+  await run('watchlist_hits', 'readwrite', store => store.clear());
+}
+
+/* ---------------------------------------------------------
+   Job applications - { key, status, history: [{ status, at }], job, siteUrl, updatedAt }
+--------------------------------------------------------- */
+
+// Returns all applications as an object keyed by job key
+export async function loadJobApplications() {
+  const list = hasIndexedDb()
+    ? await run('job_applications', 'readonly', store => store.getAll())
+    : [...memory.jobApplications.values()];
+
+  return Object.fromEntries(list.map(application => [application.key, application]));
+}
+
+export async function saveJobApplication(application) {
+  if (!hasIndexedDb()) {
+    memory.jobApplications.set(application.key, application);
+    return;
+  }
+  await run('job_applications', 'readwrite', store => store.put(application));
+}
+
+export async function deleteJobApplication(key) {
+  if (!hasIndexedDb()) {
+    memory.jobApplications.delete(key);
+    return;
+  }
+  await run('job_applications', 'readwrite', store => store.delete(key));
+}
+
+export async function clearJobApplications() {
+  if (!hasIndexedDb()) {
+    memory.jobApplications.clear();
+    return;
+  }
+  await run('job_applications', 'readwrite', store => store.clear());
+}
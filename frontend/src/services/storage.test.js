@@ -0,0 +1,23 @@
+import { loadWatchlistHits, MAX_WATCHLIST_HITS, saveWatchlistHits, setStorageUser } from './storage';
+import { settleStorage, setupPortal } from '../mocks/testUtils';
+
+beforeEach(() => {
+  setupPortal();
+  setStorageUser('storage-test-user');
+});
+
+afterEach(settleStorage);
+
+const hit = (n, patch) => ({ id: `hit-${n}`, watchlistId: 'w1', siteUrl: 'https://a.example', story: { title: `Story ${n}` }, foundAt: n, ...patch });
+
+describe('saveWatchlistHits', () => {
+  it('prunes the oldest hits but keeps dismissed ones so their stories stay dismissed', async () => {
+    await saveWatchlistHits([hit(0, { dismissed: true }), hit(1)]);
+    await saveWatchlistHits(Array.from({ length: MAX_WATCHLIST_HITS }, (_, i) => hit(i + 2)));
+
+    const ids = (await loadWatchlistHits()).map(h => h.id);
+    expect(ids).toHaveLength(MAX_WATCHLIST_HITS + 1);
+    expect(ids).toContain('hit-0');
+    expect(ids).not.toContain('hit-1');
+  });
+});
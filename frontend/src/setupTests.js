@@ -0,0 +1,15 @@
+// Jest setup (loaded by react-scripts before every test file)
+import '@testing-library/jest-dom';
+import 'fake-indexeddb/auto';
+import { configure } from '@testing-library/react';
+
+// Scrape flows go through IndexedDB and several renders - allow more than the
+// 1s / 5s defaults so slow CI machines don't time out
+configure({ asyncUtilTimeout: 5000 });
+jest.setTimeout(20000);
+
+// fake-indexeddb clones values with structuredClone, which jsdom doesn't provide
+if (typeof global.structuredClone !== 'function') {
+  const v8 = require('v8');
+  global.structuredClone = (value) => v8.deserialize(v8.serialize(value));
+}
@@ -0,0 +1,122 @@
+/*
+  Aggregates behind the Insights panel. All functions take categorized
+  data ({ [category]: stories }, after the user's rules) and return plain
+  arrays ready for the SVG charts.
+*/
+import { storyKey } from './mergeStories';
+import { escapeRegex } from './storyFilters';
+
+// Common words that say nothing about a topic
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'before', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'for', 'from', 'get', 'has', 'have', 'how', 'i', 'if', 'in', 'into',
+  'is', 'it', 'its', 'just', 'more', 'most', 'my', 'new', 'no', 'not', 'now', 'of', 'on', 'one', 'or', 'our',
+  'out', 'over', 'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to',
+  'up', 'us', 'using', 'vs', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with',
+  'you', 'your'
+]);
+
+// One story per link - the same story can sit in several categories after merges
+function uniqueStories(data) {
+  const byKey = new Map();
+  Object.values(data || {}).forEach(stories => {
+    (stories || []).forEach(story => {
+      if (!byKey.has(storyKey(story))) byKey.set(storyKey(story), story);
+    });
+  });
+  return [...byKey.values()];
+}
+
+// Number of distinct stories - a story filed under several categories counts once
+export const storyCount = (data) => uniqueStories(data).length;
+
+// Stories per category in display order: [{ label, value, color }]
+export function categoryBreakdown(data, categoryOrder, colors, fallbackColor) {
+  return categoryOrder
+    .filter(category => data[category]?.length > 0)
+    .map(category => ({ label: category, value: data[category].length, color: colors[category] || fallbackColor }));
+}
+
+// The `limit` most frequent sources (story.company): [{ label, value }]
+export function topSources(data, limit = 8) {
+  const counts = new Map();
+  uniqueStories(data).forEach(story => {
+    const source = (story.company || '').trim();
+    if (source) counts.set(source, (counts.get(source) || 0) + 1);
+  });
+  return [...counts]
+    .map(([label, value]) => ({ label, value }))
+    .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label))
+    .slice(0, limit);
+}
+
+/*
+  Stories added per scrape, oldest first: [{ time, value }].
+  Every scrape or import stamps the stories it added with one `addedAt`
+  time, so each distinct time is one refresh that brought something new.
+  Snapshot times (`scrapeTimes`) without such a group are refreshes that
+  found nothing and show up as 0. Only the last `limit` points are kept.
+*/
+const SAME_SCRAPE_MS = 5 * 1000; // addedAt is stamped just before the snapshot is taken
+
+export function additionsOverTime(data, scrapeTimes = [], limit = 20) {
+  const counts = new Map();
+  uniqueStories(data).forEach(story => {
+    if (story.addedAt) counts.set(story.addedAt, (counts.get(story.addedAt) || 0) + 1);
+  });
+
+  const addedTimes = [...counts.keys()];
+  scrapeTimes
+    .filter(time => !addedTimes.some(added => added <= time && time - added < SAME_SCRAPE_MS))
+    .forEach(time => counts.set(time, 0));
+
+  return [...counts]
+    .map(([time, value]) => ({ time, value }))
+    .sort((a, b) => a.time - b.time)
+    .slice(-limit);
+}
+
+// `website_summary.keywords` as a list of lowercase terms
+export function siteKeywords(websiteSummary) {
+  const raw = websiteSummary?.keywords;
+  if (!raw || raw === 'Not specified') return [];
+  return [...new Set(raw.split(',').map(k => k.trim().toLowerCase()).filter(Boolean))];
+}
+
+/*
+  Most frequent terms in story titles plus the site's own keywords.
+  Returns { terms: [{ label, value, siteKeyword }], unusedKeywords }:
+    terms          - title words (and site keywords found in titles) by the
+                     number of titles that mention them, top `limit`
+    unusedKeywords - site keywords that no title mentions
+*/
+export function keywordFrequency(data, websiteSummary, limit = 15) {
+  const titles = uniqueStories(data).map(story => (story.title || '').toLowerCase());
+  const counts = new Map();
+
+  titles.forEach(title => {
+    // Words of 2+ characters, keeping names like "node.js", "c++" or "gpt-4" whole
+    const words = new Set(title.match(/[\p{L}\p{N}][\p{L}\p{N}+#.-]*[\p{L}\p{N}+#]/gu) || []);
+    words.forEach(word => {
+      if (STOP_WORDS.has(word) || /^[\d.,-]+$/.test(word)) return;
+      counts.set(word, (counts.get(word) || 0) + 1);
+    });
+  });
+
+  // Site keywords are counted as whole words/phrases, so "ai" doesn't match "said"
+  const keywords = siteKeywords(websiteSummary);
+  const unusedKeywords = [];
+  keywords.forEach(keyword => {
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(keyword)}($|[^\\p{L}\\p{N}])`, 'u');
+    const value = titles.filter(title => pattern.test(title)).length;
+    if (value > 0) counts.set(keyword, value);
+    else unusedKeywords.push(keyword);
+  });
+
+  const terms = [...counts]
+    .map(([label, value]) => ({ label, value, siteKeyword: keywords.includes(label) }))
+    .sort((a, b) => b.value - a.value || Number(b.siteKeyword) - Number(a.siteKeyword) || a.label.localeCompare(b.label))
+    .slice(0, limit);
+
+  return { terms, unusedKeywords };
+}
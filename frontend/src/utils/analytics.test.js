@@ -0,0 +1,70 @@
+import { additionsOverTime, categoryBreakdown, keywordFrequency, storyCount, topSources } from './analytics';
+
+const story = (title, link, company, addedAt) => ({ title, link, company, snippet: '', addedAt });
+
+const DATA = {
+  AI: [
+    story('Open model beats GPT-4 on reasoning', 'https://a.test/1', 'AI Weekly', 1000),
+    story('Small language models on the edge', 'https://a.test/2', 'AI Weekly', 50000)
+  ],
+  Tech: [
+    story('Chip makers race to 2nm', 'https://a.test/3', 'Tech Daily', 1000),
+    // Same link filed under two categories counts once
+    story('Open model beats GPT-4 on reasoning', 'https://a.test/1', 'AI Weekly', 1000)
+  ],
+  Other: []
+};
+
+describe('categoryBreakdown', () => {
+  it('lists non-empty categories in display order with their colors', () => {
+    expect(categoryBreakdown(DATA, ['Tech', 'AI', 'Other'], { AI: '#00f' }, '#666')).toEqual([
+      { label: 'Tech', value: 2, color: '#666' },
+      { label: 'AI', value: 2, color: '#00f' }
+    ]);
+  });
+});
+
+describe('storyCount', () => {
+  it('counts a story filed under several categories once, like topSources', () => {
+    expect(storyCount(DATA)).toBe(3);
+  });
+});
+
+describe('topSources', () => {
+  it('counts unique stories per source, most frequent first', () => {
+    expect(topSources(DATA)).toEqual([
+      { label: 'AI Weekly', value: 2 },
+      { label: 'Tech Daily', value: 1 }
+    ]);
+    expect(topSources(DATA, 1)).toHaveLength(1);
+  });
+});
+
+describe('additionsOverTime', () => {
+  it('groups stories by the scrape that added them and adds empty refreshes', () => {
+    // Snapshots: both scrapes that added stories (taken just after), and one that found nothing
+    expect(additionsOverTime(DATA, [1010, 50010, 90000])).toEqual([
+      { time: 1000, value: 2 },
+      { time: 50000, value: 1 },
+      { time: 90000, value: 0 }
+    ]);
+  });
+});
+
+describe('keywordFrequency', () => {
+  it('counts title words and site keywords, skipping stop words', () => {
+    const { terms, unusedKeywords } = keywordFrequency(DATA, { keywords: 'AI, Open Model, gpt-4, startups' });
+    const byLabel = Object.fromEntries(terms.map(t => [t.label, t]));
+
+    expect(byLabel['open model']).toEqual({ label: 'open model', value: 1, siteKeyword: true });
+    expect(byLabel['gpt-4']).toEqual({ label: 'gpt-4', value: 1, siteKeyword: true });
+    expect(byLabel.models.value).toBe(1);
+    expect(byLabel.on).toBeUndefined();
+    // "ai" is not a word in any title
+    expect(unusedKeywords).toEqual(['ai', 'startups']);
+  });
+
+  it('ignores the backend placeholder for missing keywords', () => {
+    expect(keywordFrequency(DATA, { keywords: 'Not specified' }).unusedKeywords).toEqual([]);
+  });
+});
@@ -0,0 +1,132 @@
+/*
+  Client-side categorisation.
+
+  Stories arrive pre-bucketed by the backend. The dashboard shows them
+  re-bucketed by the user's category settings:
+    categories - [{ name, color }] in display order (built-in + custom)
+    rules      - [{ id, field, type, pattern, category }], first match wins
+                   field: 'title' | 'snippet' | 'company' | 'any'
+                   type:  'keyword' (case-insensitive substring)
+                          'regex'   (case-insensitive)
+                          'domain'  (story link host, subdomains included)
+    overrides  - { [storyKey]: category } set by dragging a story
+
+  A story's category is: manual override > first matching rule > backend bucket.
+  Saved workspace data is never changed, so rules can be edited freely.
+*/
+import { storyKey } from './mergeStories';
+
+export const DEFAULT_CATEGORIES = [
+  { name: 'Jobs', color: '#6B48A8' },
+  { name: 'AI', color: '#0066FF' },
+  { name: 'Tech', color: '#FF6600' },
+  { name: 'Startups', color: '#FF1493' },
+  { name: 'Tutorials', color: '#00AA00' },
+  { name: 'Open Source', color: '#9900FF' },
+  { name: 'Programming', color: '#FF9900' },
+  { name: 'Web', color: '#00CCCC' },
+  { name: 'Security', color: '#FF0000' },
+  { name: 'Other', color: '#666666' }
+];
+
+export const DEFAULT_CATEGORY_SETTINGS = { categories: DEFAULT_CATEGORIES, rules: [], overrides: {} };
+
+// Virtual category listing the starred stories of the active site
+export const STARRED_CATEGORY = { name: 'Starred', color: '#F5B301' };
+
+// Color for categories the settings don't know about
+export const FALLBACK_COLOR = '#666666';
+
+export const RULE_FIELDS = { any: 'Any field', title: 'Title', snippet: 'Snippet', company: 'Source' };
+export const RULE_TYPES = { keyword: 'Keyword', regex: 'Regex', domain: 'Domain' };
+
+// Backend spellings that mean the same category
+const CATEGORY_ALIASES = { OpenSource: 'Open Source' };
+
+export const isBuiltInCategory = (name) => DEFAULT_CATEGORIES.some(c => c.name === name);
+
+// Fill in anything missing from settings saved by an older version
+export function normalizeCategorySettings(saved) {
+  return {
+    categories: saved?.categories?.length ? saved.categories : DEFAULT_CATEGORIES,
+    rules: saved?.rules || [],
+    overrides: saved?.overrides || {}
+  };
+}
+
+// Error message for a rule pattern, or null when it is usable
+export function validateRulePattern(type, pattern) {
+  if (!pattern.trim()) return 'Pattern is empty';
+  if (type === 'regex') {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (e) {
+      return `Invalid regex: ${e.message}`;
+    }
+  }
+  return null;
+}
+
+function hostOf(link) {
+  try {
+    return new URL(link).hostname.toLowerCase();
+  } catch (e) {
+    return '';
+  }
+}
+
+// Turn a rule into a story predicate (invalid rules never match)
+function compileRule(rule) {
+  if (validateRulePattern(rule.type, rule.pattern)) return () => false;
+
+  const fields = rule.field === 'any' ? ['title', 'snippet', 'company'] : [rule.field];
+  const pattern = rule.pattern.trim();
+
+  if (rule.type === 'domain') {
+    const domain = pattern.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+    return story => {
+      const host = hostOf(story.link);
+      return host === domain || host.endsWith('.' + domain);
+    };
+  }
+
+  const regex = rule.type === 'regex' && new RegExp(pattern, 'i');
+  const keyword = pattern.toLowerCase();
+  const test = regex
+    ? (text) => regex.test(text)
+    : (text) => text.toLowerCase().includes(keyword);
+
+  return story => fields.some(field => story[field] && test(story[field]));
+}
+
+/*
+  Re-bucket categorized data with the user's rules and manual moves.
+  Returns a new { [category]: stories } object; story order is kept.
+*/
+export function categorize(data, settings) {
+  const rules = settings.rules.map(rule => ({ category: rule.category, matches: compileRule(rule) }));
+  const result = {};
+
+  Object.entries(data || {}).forEach(([bucket, stories]) => {
+    (stories || []).forEach(story => {
+      const category = settings.overrides[storyKey(story)]
+        || rules.find(rule => rule.matches(story))?.category
+        || CATEGORY_ALIASES[bucket]
+        || bucket;
+      (result[category] = result[category] || []).push(story);
+    });
+  });
+
+  return result;
+}
+
+// Category names in display order, followed by any unknown ones present in data
+export function orderedCategories(settings, data) {
+  const names = settings.categories.map(c => c.name);
+  const extra = Object.keys(data || {}).filter(name => !names.includes(name)).sort();
+  return [...names, ...extra];
+}
+
+export function categoryColorMap(settings) {
+  return Object.fromEntries(settings.categories.map(c => [c.name, c.color]));
+}
@@ -0,0 +1,163 @@
+/*
+  Export helpers - turn the current dataset (categories + website summary)
+  into downloadable CSV, JSON, Markdown or RSS text.
+*/
+
+// Exported story fields - internal bookkeeping (addedAt, isNew) stays out
+const exportStory = ({ title, link, company, snippet }) => ({ title, link, company, snippet });
+
+// Flatten { Category: [stories] } into one list of stories with a category field
+export function flattenStories(data) {
+  return Object.entries(data).flatMap(([category, stories]) =>
+    (stories || []).map(story => ({ category, ...story }))
+  );
+}
+
+/* ---------------------------------------------------------
+   CSV - one row per story with a category column
+--------------------------------------------------------- */
+export const CSV_COLUMNS = ['category', 'title', 'link', 'company', 'snippet'];
+
+// Cells starting with these run as formulas in Excel / Sheets
+export const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  // Scraped text is untrusted - a leading ' makes spreadsheets show it as text
+  if (CSV_FORMULA_START.test(text)) text = `'${text}`;
+  // Quote cells containing separators, quotes or line breaks
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(data) {
+  const rows = flattenStories(data).map(story =>
+    CSV_COLUMNS.map(col => csvCell(story[col])).join(',')
+  );
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+/* ---------------------------------------------------------
+   JSON - pretty printed, includes the website summary
+--------------------------------------------------------- */
+export function toJson(data, websiteSummary, sourceUrl) {
+  const categories = Object.fromEntries(
+    Object.entries(data).map(([category, stories]) => [category, (stories || []).map(exportStory)])
+  );
+  return JSON.stringify({
+    source_url: sourceUrl || null,
+    exported_at: new Date().toISOString(),
+    website_summary: websiteSummary || null,
+    categories
+  }, null, 2);
+}
+
+/* ---------------------------------------------------------
+   Markdown - digest grouped by category
+--------------------------------------------------------- */
+// Brackets (and backslashes) in a title would end the link text early
+const markdownText = (text) => String(text ?? '').replace(/[\\[\]]/g, '\\$&');
+
+// Spaces, parentheses and angle brackets would end the link destination
+const markdownUrl = (url) => String(url ?? '').replace(/[\s()<>]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+
+export function toMarkdown(data, websiteSummary, sourceUrl) {
+  const lines = [`# ${websiteSummary?.title || sourceUrl || 'Scraped stories'}`, ''];
+
+  if (sourceUrl) lines.push(`Source: ${sourceUrl}`, '');
+  if (websiteSummary?.description) lines.push(`> ${websiteSummary.description}`, '');
+
+  Object.entries(data).forEach(([category, stories]) => {
+    if (!stories?.length) return;
+    lines.push(`## ${category} (${stories.length})`, '');
+    stories.forEach(story => {
+      lines.push(`- [${markdownText(story.title)}](${markdownUrl(story.link)})${story.company ? ` — ${story.company}` : ''}`);
+      if (story.snippet) lines.push(`  ${story.snippet.replace(/\s*\n\s*/g, ' ')}`);
+    });
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+/* ---------------------------------------------------------
+   RSS 2.0 feed - one item per story, category as <category>
+--------------------------------------------------------- */
+function xml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+export function toRss(data, websiteSummary, sourceUrl) {
+  const now = new Date().toUTCString();
+
+  const items = flattenStories(data).map(story => [
+    '    <item>',
+    `      <title>${xml(story.title)}</title>`,
+    `      <link>${xml(story.link)}</link>`,
+    `      <guid isPermaLink="false">${xml(story.link !== '#' ? story.link : story.title)}</guid>`,
+    `      <category>${xml(story.category)}</category>`,
+    story.company ? `      <dc:creator>${xml(story.company)}</dc:creator>` : null,
+    `      <description>${xml(story.snippet)}</description>`,
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${xml(websiteSummary?.title || sourceUrl || 'Scraped stories')}</title>`,
+    `    <link>${xml(sourceUrl || '')}</link>`,
+    `    <description>${xml(websiteSummary?.description || 'Stories exported from Web Scraper Portal')}</description>`,
+    `    <lastBuildDate>${now}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>'
+  ].join('\n');
+}
+
+/* ---------------------------------------------------------
+   Download helpers
+--------------------------------------------------------- */
+export const EXPORT_FORMATS = {
+  csv:      { label: 'CSV (spreadsheet)', ext: 'csv', mime: 'text/csv' },
+  json:     { label: 'JSON',              ext: 'json', mime: 'application/json' },
+  markdown: { label: 'Markdown digest',   ext: 'md', mime: 'text/markdown' },
+  rss:      { label: 'RSS feed',          ext: 'xml', mime: 'application/rss+xml' }
+};
+
+// Build a file name like "news-ycombinator-com-2024-05-01.csv"
+export function exportFileName(sourceUrl, ext) {
+  const base = (sourceUrl || 'scraped-data')
+    .replace(/^https?:\/\//, '')
+    .replace(/[^a-z0-9]+/gi, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase();
+  return `${base || 'scraped-data'}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+}
+
+export function buildExport(format, data, websiteSummary, sourceUrl) {
+  switch (format) {
+    case 'csv': return toCsv(data);
+    case 'json': return toJson(data, websiteSummary, sourceUrl);
+    case 'markdown': return toMarkdown(data, websiteSummary, sourceUrl);
+    case 'rss': return toRss(data, websiteSummary, sourceUrl);
+    default: throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+// Trigger a browser download for a text file
+export function downloadFile(fileName, content, mime) {
+  const blob = new Blob([content], { type: `${mime};charset=utf-8` });
+  const href = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = href;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(href);
+}
@@ -0,0 +1,43 @@
+import { toCsv, toJson, toMarkdown } from './exporters';
+import { parseCsvImport } from './importers';
+
+const DATA = {
+  Tech: [
+    { title: '=HYPERLINK("http://evil.example","Click")', link: 'https://a.example/1', company: '@acme', snippet: '-1 point', addedAt: 1, isNew: true },
+    { title: 'Plain, with comma', link: 'https://a.example/2', company: '', snippet: 'ok' }
+  ]
+};
+
+describe('toCsv', () => {
+  it("prefixes formula-like cells with ' before quoting", () => {
+    const [, first, second] = toCsv(DATA).split('\r\n');
+    expect(first).toBe(`Tech,"'=HYPERLINK(""http://evil.example"",""Click"")",https://a.example/1,'@acme,'-1 point`);
+    expect(second).toBe('Tech,"Plain, with comma",https://a.example/2,,ok');
+  });
+
+  it('round-trips through the CSV import', () => {
+    const { data, errors } = parseCsvImport(toCsv(DATA));
+    expect(errors).toEqual([]);
+    expect(data.Tech[0].title).toBe(DATA.Tech[0].title);
+    expect(data.Tech[0].company).toBe('@acme');
+  });
+});
+
+describe('toJson', () => {
+  it('exports only the story fields', () => {
+    const { categories } = JSON.parse(toJson(DATA, null, 'https://a.example'));
+    expect(categories.Tech[0]).toEqual({
+      title: DATA.Tech[0].title,
+      link: 'https://a.example/1',
+      company: '@acme',
+      snippet: '-1 point'
+    });
+  });
+});
+
+describe('toMarkdown', () => {
+  it('escapes brackets in titles and encodes link characters that end a link', () => {
+    const data = { Tech: [{ title: 'Arrays [part 1] \\ more', link: 'https://a.example/wiki/Foo_(bar) baz', snippet: '' }] };
+    expect(toMarkdown(data)).toContain('- [Arrays \\[part 1\\] \\\\ more](https://a.example/wiki/Foo_%28bar%29%20baz)');
+  });
+});
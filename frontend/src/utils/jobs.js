@@ -0,0 +1,160 @@
+/*
+  Job postings - structured fields pulled out of a story's title and snippet,
+  and the application pipeline the user tracks per job link.
+
+  Scraped job stories only have free text, so every field is a best guess
+  and null when nothing recognisable was found.
+*/
+
+export const PIPELINE_STAGES = [
+  { id: 'saved', label: 'Saved', color: '#6c757d' },
+  { id: 'applied', label: 'Applied', color: '#0d6efd' },
+  { id: 'interviewing', label: 'Interviewing', color: '#b58100' },
+  { id: 'rejected', label: 'Rejected', color: '#d32f2f' },
+  { id: 'offer', label: 'Offer', color: '#2e7d32' }
+];
+
+export const stageLabel = (id) => PIPELINE_STAGES.find(stage => stage.id === id)?.label || id;
+
+export const WORKPLACES = ['Remote', 'Hybrid', 'On-site'];
+
+// Most senior match wins ("Senior Tech Lead" is a Lead)
+export const SENIORITY_LEVELS = [
+  { label: 'Director', pattern: /\b(director|head of|vp|vice president|chief)\b/i },
+  { label: 'Principal', pattern: /\b(principal|distinguished)\b/i },
+  { label: 'Staff', pattern: /\bstaff\b/i },
+  // Not "lead generation" / "lead gen" (a sales role)
+  { label: 'Lead', pattern: /\b(team lead|tech lead|lead)\b(?![- ]gen(eration)?\b)/i },
+  { label: 'Senior', pattern: /\b(senior|sr\.?|experienced)(?=\W|$)/i },
+  // A bare "mid" only on its own, not "Mid-size company"
+  { label: 'Mid', pattern: /\b(mid[- ]?level|mid[- ]?senior|intermediate|mid(?![-\w]))/i },
+  { label: 'Junior', pattern: /\b(junior|jr\.?|entry[- ]level|graduate|associate)(?=\W|$)/i },
+  { label: 'Intern', pattern: /\b(intern|internship|trainee|apprentice)\b/i }
+];
+
+const REMOTE = /\b(remote|work from home|wfh|anywhere|distributed)\b/i;
+const NOT_REMOTE = /\b(not|no|non)[- ](a\s+)?remote\b/i;
+const HYBRID = /\bhybrid\b/i;
+const ONSITE = /\b(on[- ]?site|in[- ]office|office[- ]based)\b/i;
+
+// "<word> <Capitalised Words>" - anywhere, and the looser forms only in the title
+const PLACE_PHRASE = /\b(?:based in|located in|within)\s+(?:the\s+)?(\p{Lu}[\p{L}.'-]*(?:(?:,\s*|\s+)\p{Lu}[\p{L}.'-]*)*)/u;
+const TITLE_PLACE_PHRASE = /\b(?:in|from)\s+(?:the\s+)?(\p{Lu}[\p{L}.'-]*(?:(?:,\s*|\s+)\p{Lu}[\p{L}.'-]*)*)/u;
+
+/*
+  Places a location guess may name. Parenthesised and "in <X>" parts of a
+  title are as often skills ("(Go)", "Engineer in Test", "(Spring Boot, AWS)"),
+  so those only count when they look like one of these (see isPlace).
+*/
+const PLACE_NAMES = new Set([
+  // Regions
+  'eu', 'europe', 'emea', 'apac', 'latam', 'americas', 'north america', 'south america', 'asia', 'africa', 'middle east',
+  'nordics', 'dach', 'benelux',
+  // Countries
+  'us', 'usa', 'united states', 'uk', 'united kingdom', 'england', 'scotland', 'ireland', 'canada', 'mexico', 'brazil',
+  'argentina', 'chile', 'colombia', 'germany', 'france', 'spain', 'portugal', 'italy', 'netherlands', 'belgium',
+  'switzerland', 'austria', 'poland', 'czechia', 'czech republic', 'romania', 'ukraine', 'greece', 'turkey', 'sweden',
+  'norway', 'denmark', 'finland', 'estonia', 'india', 'pakistan', 'china', 'japan', 'korea', 'south korea', 'taiwan',
+  'singapore', 'malaysia', 'indonesia', 'philippines', 'vietnam', 'australia', 'new zealand', 'israel', 'uae',
+  'saudi arabia', 'egypt', 'nigeria', 'kenya', 'south africa',
+  // Cities that often appear on their own
+  'london', 'manchester', 'edinburgh', 'dublin', 'berlin', 'munich', 'hamburg', 'paris', 'amsterdam', 'rotterdam',
+  'brussels', 'zurich', 'geneva', 'vienna', 'madrid', 'barcelona', 'lisbon', 'porto', 'milan', 'rome', 'warsaw',
+  'krakow', 'prague', 'budapest', 'stockholm', 'oslo', 'copenhagen', 'helsinki', 'tallinn', 'new york', 'nyc',
+  'san francisco', 'sf', 'bay area', 'los angeles', 'seattle', 'austin', 'boston', 'chicago', 'denver', 'atlanta',
+  'miami', 'toronto', 'vancouver', 'montreal', 'mexico city', 'sao paulo', 'buenos aires', 'bangalore', 'bengaluru',
+  'hyderabad', 'pune', 'mumbai', 'delhi', 'chennai', 'tokyo', 'seoul', 'shanghai', 'beijing', 'hong kong', 'sydney',
+  'melbourne', 'auckland', 'tel aviv', 'dubai', 'cairo', 'lagos', 'nairobi', 'cape town'
+]);
+
+// "City, XX": US / Canadian state and province codes and common country codes
+const REGION_CODES = new Set([
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DC', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME',
+  'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI',
+  'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY', 'ON', 'QC', 'BC', 'AB', 'MB', 'NS',
+  'AT', 'AU', 'BE', 'BR', 'CH', 'CN', 'CZ', 'DK', 'EE', 'ES', 'FI', 'FR', 'GB', 'GR', 'IE', 'IT', 'JP', 'NL', 'NO',
+  'NZ', 'PL', 'PT', 'RO', 'SE', 'SG', 'UA', 'UK', 'US'
+]);
+
+// A known place, or "<Place>, <known country / region code>" ("Austin, TX", "Porto, Portugal")
+function isPlace(candidate) {
+  const parts = candidate.split(/\s*,\s*/);
+  const last = parts[parts.length - 1];
+  return PLACE_NAMES.has(candidate.toLowerCase())
+    || (parts.length > 1 && (REGION_CODES.has(last) || PLACE_NAMES.has(last.toLowerCase())));
+}
+
+// Words that can sit next to a location but are not part of it
+const NOT_LOCATION = /\b(remote|hybrid|on[- ]?site|full[- ]?time|part[- ]?time|contract|freelance|permanent|temporary|internship|wfh|anywhere|only|friendly|ok)\b/gi;
+
+export function workplaceOf(text) {
+  if (HYBRID.test(text)) return 'Hybrid';
+  // "Not remote" means working at the office
+  if (NOT_REMOTE.test(text)) return 'On-site';
+  if (REMOTE.test(text)) return 'Remote';
+  if (ONSITE.test(text)) return 'On-site';
+  return null;
+}
+
+export function seniorityOf(text) {
+  return SENIORITY_LEVELS.find(level => level.pattern.test(text))?.label || null;
+}
+
+// Tidy a location candidate; null when only non-location words are left
+function cleanLocation(candidate) {
+  const cleaned = candidate
+    .replace(NOT_LOCATION, '')
+    .replace(/\s*[/|·•-]\s*$/, '')
+    .replace(/^\s*[/|·•,-]\s*/, '')
+    .replace(/\s{2,}/g, ' ')
+    .replace(/^[\s,]+|[\s,.]+$/g, '');
+  return /\p{Lu}/u.test(cleaned) && cleaned.length <= 60 ? cleaned : null;
+}
+
+/*
+  Location from, in order of trust:
+    "Location: Berlin, Germany" in the title or snippet
+    "based in / located in / within <Capitalised Words>"
+  and, only when the words look like a place (isPlace):
+    a parenthesised part of the title: "(Berlin, DE)", "(Remote, EU)"
+    the last " - " / " | " part of the title: "Backend Engineer - New York, NY"
+    "in / from <Capitalised Words>" in the title - in a snippet that is
+    mostly skills ("Experience in React and Node")
+*/
+export function locationOf(title = '', snippet = '') {
+  const text = `${title}\n${snippet}`;
+
+  const labelled = text.match(/\blocation:\s*([^\n|;]+)/i);
+  if (labelled) {
+    const location = cleanLocation(labelled[1].replace(/\.\s.*$/, ''));
+    if (location) return location;
+  }
+
+  const phrase = text.match(PLACE_PHRASE);
+  const stated = phrase && cleanLocation(phrase[1]);
+  if (stated) return stated;
+
+  const candidates = [
+    ...[...title.matchAll(/\(([^)]+)\)/g)].map(match => match[1]),
+    title.match(/\s[-–—|·•]\s([^-–—|·•()]+)$/)?.[1],
+    title.match(TITLE_PLACE_PHRASE)?.[1]
+  ];
+  for (const candidate of candidates) {
+    const location = candidate && cleanLocation(candidate);
+    if (location && isPlace(location)) return location;
+  }
+  return null;
+}
+
+// { location, workplace, remote, seniority } for a job story
+export function parseJob(story) {
+  const title = story.title || '';
+  const snippet = story.snippet || '';
+  const workplace = workplaceOf(`${title} ${snippet}`);
+  return {
+    location: locationOf(title, snippet),
+    workplace,
+    remote: workplace === 'Remote',
+    seniority: seniorityOf(title) || seniorityOf(snippet)
+  };
+}
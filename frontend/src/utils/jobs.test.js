@@ -0,0 +1,81 @@
+import { locationOf, parseJob, seniorityOf, workplaceOf } from './jobs';
+
+describe('parseJob', () => {
+  it('reads location, remote flag and seniority from title and snippet', () => {
+    expect(parseJob({ title: 'Senior React Developer (Remote)', snippet: 'Full-time, remote within the EU.' })).toEqual({
+      location: 'EU',
+      workplace: 'Remote',
+      remote: true,
+      seniority: 'Senior'
+    });
+  });
+
+  it('returns nulls when nothing is recognisable', () => {
+    expect(parseJob({ title: 'We are hiring', snippet: '' })).toEqual({
+      location: null,
+      workplace: null,
+      remote: false,
+      seniority: null
+    });
+  });
+});
+
+describe('locationOf', () => {
+  it('prefers an explicit "Location:" label', () => {
+    expect(locationOf('Backend Engineer', 'Location: Berlin, Germany. Hybrid, 3 days in office')).toBe('Berlin, Germany');
+  });
+
+  it('uses a parenthesised part of the title without workplace words', () => {
+    expect(locationOf('Data Engineer (Hybrid, London)')).toBe('London');
+    expect(locationOf('Platform Engineer (Berlin, DE)')).toBe('Berlin, DE');
+    expect(locationOf('Platform Engineer (Senior)')).toBeNull();
+  });
+
+  it('reads a place after a dash at the end of the title', () => {
+    expect(locationOf('Backend Engineer - New York, NY')).toBe('New York, NY');
+    expect(locationOf('Designer | Porto, Portugal')).toBe('Porto, Portugal');
+    expect(locationOf('Full-Stack Engineer - Payments')).toBeNull();
+  });
+
+  it('falls back to "in / based in <Place>"', () => {
+    expect(locationOf('Frontend Developer', 'Join our team based in Toronto, Canada')).toBe('Toronto, Canada');
+    expect(locationOf('Frontend Developer', 'Experience in modern frameworks')).toBeNull();
+    expect(locationOf('Backend Engineer in Lisbon')).toBe('Lisbon');
+  });
+
+  it('does not take skills in the title for a place', () => {
+    expect(locationOf('Backend Engineer (Go)')).toBeNull();
+    expect(locationOf('Java Developer (Spring Boot, AWS)')).toBeNull();
+    expect(locationOf('Engineer in Test')).toBeNull();
+  });
+
+  it('does not take skills or languages in the snippet for a place', () => {
+    expect(locationOf('Frontend Developer', 'Experience in React and Node')).toBeNull();
+    expect(locationOf('Backend Developer', 'Strong skills in Go, Python')).toBeNull();
+    expect(locationOf('Full Stack Developer', 'We work in JavaScript')).toBeNull();
+  });
+});
+
+describe('workplaceOf / seniorityOf', () => {
+  it('detects hybrid before remote and on-site', () => {
+    expect(workplaceOf('Hybrid - remote 2 days a week')).toBe('Hybrid');
+    expect(workplaceOf('On-site in Paris')).toBe('On-site');
+  });
+
+  it('reads a negated remote as on-site', () => {
+    expect(workplaceOf('Not remote. Location: NYC')).toBe('On-site');
+    expect(workplaceOf('No remote work, sorry')).toBe('On-site');
+    expect(locationOf('QA Engineer', 'Not remote. Location: NYC')).toBe('NYC');
+  });
+
+  it('picks the most senior level mentioned', () => {
+    expect(seniorityOf('Senior Tech Lead')).toBe('Lead');
+    expect(seniorityOf('Jr. QA Engineer')).toBe('Junior');
+    expect(seniorityOf('Software Engineering Intern')).toBe('Intern');
+    expect(seniorityOf('Product Manager')).toBeNull();
+    expect(seniorityOf('Mid-size company hiring a QA Engineer')).toBeNull();
+    expect(seniorityOf('Mid Frontend Developer')).toBe('Mid');
+    expect(seniorityOf('Lead generation specialist')).toBeNull();
+    expect(seniorityOf('Lead Data Engineer')).toBe('Lead');
+  });
+});
@@ -0,0 +1,56 @@
+/*
+  Merge categorized stories into an existing dataset, adding only NEW unique items.
+  Used by merge-mode refresh and by file import.
+
+  Returns { merged, totalNewItems }.
+*/
+export function mergeStories(existingData, incomingData) {
+  const merged = { ...existingData };
+  let totalNewItems = 0;
+
+  Object.keys(incomingData).forEach(category => {
+    // Get existing items in this category
+    const existingItems = merged[category] || [];
+    const newItems = incomingData[category] || [];
+
+    // Create a Set of existing links AND titles to check for duplicates
+    // Check both link and title to be extra safe
+    const existingLinks = new Set(existingItems.map(item => item.link));
+    const existingTitles = new Set(existingItems.map(item => item.title.toLowerCase().trim()));
+
+    // Filter out duplicates - item must have unique link AND title
+    const uniqueNewItems = newItems.filter(item => {
+      const linkIsUnique = !existingLinks.has(item.link);
+      const titleIsUnique = !existingTitles.has(item.title.toLowerCase().trim());
+
+      // Only add if BOTH link and title are unique (or if link is # which means no link)
+      return (linkIsUnique && titleIsUnique) || (item.link === '#' && titleIsUnique);
+    });
+
+    if (uniqueNewItems.length > 0) {
+      console.log(`Category "${category}": Found ${uniqueNewItems.length} new unique items`);
+      totalNewItems += uniqueNewItems.length;
+    }
+
+    // Merge: existing items + only unique new items
+    merged[category] = [...existingItems, ...uniqueNewItems];
+  });
+
+  return { merged, totalNewItems };
+}
+
+// Record when each story first arrived (used by "Newest first" sorting).
+// Stories that already have a timestamp keep it.
+export function stampAddedAt(data, time = Date.now()) {
+  return Object.fromEntries(
+    Object.entries(data).map(([category, stories]) => [
+      category,
+      (stories || []).map(story => (story.addedAt ? story : { ...story, addedAt: time }))
+    ])
+  );
+}
+
+// Stable identity of a story: its link, or its title when there is no link ('#')
+export function storyKey(story) {
+  return story.link && story.link !== '#' ? story.link : 'title:' + (story.title || '').toLowerCase().trim();
+}
@@ -0,0 +1,31 @@
+/*
+  "New" flags for stories added by background auto-refresh.
+  A story carries isNew: true until the user has viewed its site.
+*/
+
+// Flag every incoming story as new (only unique ones survive the merge)
+export function markNew(data) {
+  return Object.fromEntries(
+    Object.entries(data).map(([category, stories]) => [
+      category,
+      (stories || []).map(story => ({ ...story, isNew: true }))
+    ])
+  );
+}
+
+export function countNew(data) {
+  return Object.values(data || {}).reduce(
+    (sum, stories) => sum + (stories || []).filter(story => story.isNew).length,
+    0
+  );
+}
+
+// Remove the new flag from every story
+export function clearNew(data) {
+  return Object.fromEntries(
+    Object.entries(data).map(([category, stories]) => [
+      category,
+      (stories || []).map(({ isNew, ...story }) => story)
+    ])
+  );
+}
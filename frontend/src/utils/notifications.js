@@ -0,0 +1,24 @@
+/*
+  Thin wrapper around the browser Notification API.
+  Every function is a no-op when notifications are unsupported.
+*/
+
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// Ask for permission if not decided yet; resolves true when allowed
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return false;
+  if (Notification.permission === 'granted') return true;
+  if (Notification.permission === 'denied') return false;
+  return (await Notification.requestPermission()) === 'granted';
+}
+
+export function notify(title, body) {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return;
+  try {
+    new Notification(title, { body, tag: 'scraper-new-items' });
+  } catch (e) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.warn('Notification failed', e);
+  }
+}
@@ -0,0 +1,89 @@
+/*
+  Client-side routes:
+    /login                         - sign-in page (?next=<path> to return to afterwards)
+    /dashboard                     - reopens the last active site
+    /site/:domain                  - one scraped site
+    /site/:domain/category/:name   - one category of a site
+    /jobs                          - job postings of every site + application pipeline
+    /settings                      - per-user settings
+  `domain` is the site URL without "http(s)://" and the trailing slash,
+  URL-encoded into a single path segment (see siteSlug).
+*/
+
+export const LOGIN_PATH = '/login';
+export const DASHBOARD_PATH = '/dashboard';
+export const SETTINGS_PATH = '/settings';
+export const JOBS_PATH = '/jobs';
+
+const encode = (segment) => encodeURIComponent(segment);
+
+function decode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    return segment;
+  }
+}
+
+// "https://news.ycombinator.com/" (or http://) -> "news.ycombinator.com"
+export function siteSlug(url) {
+  return url.replace(/^https?:\/\//i, '').replace(/\/$/, '');
+}
+
+/*
+  The saved site URL a route slug points at, or null.
+  The https site wins when both schemes of a domain are saved.
+*/
+export function findSiteBySlug(urls, slug) {
+  const matches = urls.filter(url => siteSlug(url) === slug);
+  return matches.find(url => /^https:/i.test(url)) || matches[0] || null;
+}
+
+export function sitePath(url, category) {
+  const path = `/site/${encode(siteSlug(url))}`;
+  return category ? `${path}/category/${encode(category)}` : path;
+}
+
+// Only same-origin paths are accepted as a post-login destination.
+// Browsers read "/\\host" like "//host", so a backslash there is refused too.
+function safeNext(next) {
+  return next && /^\/(?![/\\])/.test(next) && !next.startsWith(LOGIN_PATH) ? next : null;
+}
+
+export function loginPath(next) {
+  const target = safeNext(next);
+  return target && target !== '/' && target !== DASHBOARD_PATH ? `${LOGIN_PATH}?next=${encode(target)}` : LOGIN_PATH;
+}
+
+/*
+  Match a location against the routes.
+  Returns { name, site, category, next } - name is one of
+  'login', 'dashboard', 'site', 'jobs', 'settings' or 'notFound'.
+*/
+export function parseRoute(pathname, search = '') {
+  const parts = pathname.split('/').filter(Boolean).map(decode);
+  const route = { name: 'notFound', site: null, category: null, next: null };
+
+  if (parts.length === 0) return { ...route, name: 'dashboard' };
+
+  switch (parts[0]) {
+    case 'login':
+      return parts.length === 1
+        ? { ...route, name: 'login', next: safeNext(new URLSearchParams(search).get('next')) }
+        : route;
+    case 'dashboard':
+      return parts.length === 1 ? { ...route, name: 'dashboard' } : route;
+    case 'settings':
+      return parts.length === 1 ? { ...route, name: 'settings' } : route;
+    case 'jobs':
+      return parts.length === 1 ? { ...route, name: 'jobs' } : route;
+    case 'site':
+      if (parts.length === 2) return { ...route, name: 'site', site: parts[1] };
+      if (parts.length === 4 && parts[2] === 'category') {
+        return { ...route, name: 'site', site: parts[1], category: parts[3] };
+      }
+      return route;
+    default:
+      return route;
+  }
+}
@@ -0,0 +1,42 @@
+import { findSiteBySlug, loginPath, parseRoute, sitePath, siteSlug } from './routes';
+
+describe('site routes', () => {
+  it('drops the scheme and trailing slash from both http and https sites', () => {
+    expect(siteSlug('https://news.ycombinator.com/')).toBe('news.ycombinator.com');
+    expect(siteSlug('http://example.com')).toBe('example.com');
+    expect(sitePath('http://example.com')).toBe('/site/example.com');
+    expect(sitePath('https://example.com/blog', 'AI')).toBe('/site/example.com%2Fblog/category/AI');
+  });
+
+  it('round-trips a site path back to the saved URL', () => {
+    const urls = ['https://news.example.com', 'http://example.com', 'https://example.com/blog'];
+    urls.forEach(url => {
+      const { site } = parseRoute(sitePath(url));
+      expect(findSiteBySlug(urls, site)).toBe(url);
+    });
+    expect(findSiteBySlug(urls, 'unknown.example.com')).toBeNull();
+  });
+
+  it('prefers the https site when both schemes are saved', () => {
+    expect(findSiteBySlug(['http://example.com', 'https://example.com'], 'example.com')).toBe('https://example.com');
+  });
+});
+
+describe('parseRoute', () => {
+  it('reads categories and post-login destinations', () => {
+    expect(parseRoute('/site/example.com/category/Open%20Source')).toEqual(
+      { name: 'site', site: 'example.com', category: 'Open Source', next: null }
+    );
+    expect(parseRoute('/login', '?next=%2Fjobs').next).toBe('/jobs');
+    expect(parseRoute('/login', '?next=%2F%2Fevil.example').next).toBeNull();
+    expect(loginPath('/dashboard')).toBe('/login');
+  });
+
+  it('refuses post-login destinations a browser would send to another host', () => {
+    ['//evil.example', '/\\evil.example', '/\\/evil.example', 'https://evil.example'].forEach(next => {
+      expect(parseRoute('/login', `?next=${encodeURIComponent(next)}`).next).toBeNull();
+      expect(loginPath(next)).toBe('/login');
+    });
+    expect(parseRoute('/login', '?next=%2Fsite%2Fa%5Cb').next).toBe('/site/a\\b');
+  });
+});
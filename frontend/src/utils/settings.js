@@ -0,0 +1,82 @@
+/*
+  Per-user portal settings (saved in the user's "settings" meta key).
+
+    apiUrl              - backend base URL; '' uses the build-time REACT_APP_API_URL
+    requestTimeout      - seconds before a /scrape request gives up
+    healthTimeout       - seconds before a /health ping counts as failed
+    healthInterval      - seconds between /health pings
+    maxFailures         - failed pings in a row before the backend counts as offline
+    logoutWhenOffline   - sign out when the backend goes offline (the original behaviour)
+    errorMessageTime    - seconds an error message stays up (0 = until closed)
+    successMessageTime  - seconds a success message stays up (0 = until closed)
+*/
+
+export const DEFAULT_SETTINGS = {
+  apiUrl: '',
+  requestTimeout: 30,
+  healthTimeout: 5,
+  healthInterval: 30,
+  maxFailures: 3,
+  logoutWhenOffline: false,
+  errorMessageTime: 10,
+  successMessageTime: 5
+};
+
+// Allowed range for every numeric setting: [min, max]
+export const SETTING_LIMITS = {
+  requestTimeout: [5, 300],
+  healthTimeout: [1, 60],
+  healthInterval: [5, 600],
+  maxFailures: [1, 20],
+  errorMessageTime: [0, 120],
+  successMessageTime: [0, 120]
+};
+
+// Saved settings merged over the defaults; unknown or broken values fall back
+export function normalizeSettings(saved) {
+  const settings = { ...DEFAULT_SETTINGS };
+  if (!saved || typeof saved !== 'object') return settings;
+
+  if (typeof saved.apiUrl === 'string') settings.apiUrl = saved.apiUrl.trim();
+  if (typeof saved.logoutWhenOffline === 'boolean') settings.logoutWhenOffline = saved.logoutWhenOffline;
+
+  Object.entries(SETTING_LIMITS).forEach(([key, [min, max]]) => {
+    const value = Number(saved[key]);
+    if (saved[key] !== undefined && Number.isFinite(value)) settings[key] = Math.min(max, Math.max(min, value));
+  });
+
+  return settings;
+}
+
+// Error message for a backend URL, or null when it is usable ('' = build default)
+export function validateApiUrl(value) {
+  if (!value.trim()) return null;
+  try {
+    const parsed = new URL(value.trim());
+    if (!/^https?:$/.test(parsed.protocol)) return 'Use an http:// or https:// URL';
+  } catch (e) {
+    return 'Not a valid URL';
+  }
+  return null;
+}
+
+// { [key]: message } for every invalid field of a settings draft
+export function validateSettings(draft) {
+  const errors = {};
+  const urlError = validateApiUrl(draft.apiUrl);
+  if (urlError) errors.apiUrl = urlError;
+
+  Object.entries(SETTING_LIMITS).forEach(([key, [min, max]]) => {
+    const value = Number(draft[key]);
+    if (draft[key] === '' || !Number.isFinite(value) || value < min || value > max) {
+      errors[key] = `Enter a number from ${min} to ${max}`;
+    }
+  });
+
+  return errors;
+}
+
+// Base URL without a trailing slash, so paths like "/scrape" can be appended
+export function trimBaseUrl(url) {
+  return url.trim().replace(/\/+$/, '');
+}
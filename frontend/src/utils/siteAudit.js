@@ -0,0 +1,156 @@
+/*
+  Quick SEO / metadata audit of a `website_summary`.
+
+  auditSummary(summary) returns { score, checks } where every check is
+    { id, label, status: 'pass' | 'warn' | 'fail', message }
+  and score is the metadata completeness in percent (0-100).
+*/
+
+// Fields counted for completeness, with how much each one matters
+export const AUDIT_FIELDS = [
+  { key: 'title', label: 'Title', weight: 3 },
+  { key: 'description', label: 'Description', weight: 3 },
+  { key: 'image', label: 'og:image', weight: 2 },
+  { key: 'favicon', label: 'Favicon', weight: 2 },
+  { key: 'language', label: 'Language', weight: 2 },
+  { key: 'site_name', label: 'Site name', weight: 1 },
+  { key: 'keywords', label: 'Keywords', weight: 1 },
+  { key: 'type', label: 'og:type', weight: 1 },
+  { key: 'theme_color', label: 'Theme color', weight: 1 },
+  { key: 'author', label: 'Author', weight: 1 },
+  { key: 'publisher', label: 'Publisher', weight: 1 },
+  { key: 'app_name', label: 'App name', weight: 1 },
+  { key: 'copyright', label: 'Copyright', weight: 1 }
+];
+
+// Usual ranges before search results cut the text off / consider it thin
+export const TITLE_RANGE = [30, 60];
+export const DESCRIPTION_RANGE = [70, 160];
+
+// Completeness at or above these is a pass / warning
+const SCORE_PASS = 80;
+const SCORE_WARN = 50;
+
+// The backend's placeholder counts as missing
+const valueOf = (summary, key) => {
+  const value = typeof summary?.[key] === 'string' ? summary[key].trim() : summary?.[key];
+  return value && value !== 'Not specified' ? value : null;
+};
+
+const check = (id, label, status, message) => ({ id, label, status, message });
+
+export function completeness(summary) {
+  const total = AUDIT_FIELDS.reduce((sum, field) => sum + field.weight, 0);
+  const present = AUDIT_FIELDS.filter(field => valueOf(summary, field.key));
+  const score = Math.round((present.reduce((sum, field) => sum + field.weight, 0) / total) * 100);
+  const missing = AUDIT_FIELDS.filter(field => !present.includes(field)).map(field => field.label);
+  return { score, missing };
+}
+
+function lengthCheck(id, label, text, [min, max]) {
+  if (!text) return check(id, label, 'fail', `No ${label.toLowerCase()}`);
+  const length = [...text].length;
+  if (length < min) return check(id, label, 'warn', `${length} characters - shorter than the usual ${min}-${max}`);
+  if (length > max) return check(id, label, 'warn', `${length} characters - longer than ${max}, search results will cut it off`);
+  return check(id, label, 'pass', `${length} characters`);
+}
+
+function imageCheck(image) {
+  if (!image) return check('image', 'og:image', 'fail', 'No og:image - shared links show no preview picture');
+  if (!/^https:\/\//i.test(image)) return check('image', 'og:image', 'warn', `${image} is not an absolute https:// URL`);
+  return check('image', 'og:image', 'pass', image);
+}
+
+function faviconCheck(favicon) {
+  if (!favicon) return check('favicon', 'Favicon', 'fail', 'No favicon');
+  return check('favicon', 'Favicon', 'pass', favicon);
+}
+
+function languageCheck(language) {
+  if (!language) return check('language', 'Language', 'fail', 'No language (<html lang>) declared');
+  if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(language)) {
+    return check('language', 'Language', 'warn', `"${language}" is not a language code like "en" or "en-GB"`);
+  }
+  return check('language', 'Language', 'pass', language);
+}
+
+/*
+  Parse a theme color into { r, g, b, a } (0-255, alpha 0-1).
+  Hex and rgb()/rgba() only; null for anything else.
+*/
+export function parseColor(value) {
+  const color = value.trim().toLowerCase();
+
+  const hex = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = [...digits].map(d => d + d).join('');
+    const [r, g, b, a = 255] = digits.match(/../g).map(pair => parseInt(pair, 16));
+    return { r, g, b, a: a / 255 };
+  }
+
+  const rgb = color.match(/^rgba?\(\s*(\d{1,3})[\s,]+(\d{1,3})[\s,]+(\d{1,3})(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+  if (rgb) {
+    const [r, g, b] = rgb.slice(1, 4).map(Number);
+    if ([r, g, b].some(channel => channel > 255)) return null;
+    const alpha = rgb[4] === undefined ? 1 : rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+    return { r, g, b, a: alpha };
+  }
+
+  return null;
+}
+
+// Named colors, hsl() etc. are checked by the browser when it can
+const isCssColor = (value) => typeof CSS !== 'undefined' && typeof CSS.supports === 'function' && CSS.supports('color', value);
+
+function themeColorCheck(themeColor) {
+  const label = 'Theme color';
+  if (!themeColor) return check('theme_color', label, 'warn', 'No theme-color - browsers use their default toolbar color');
+
+  const color = parseColor(themeColor);
+  if (!color) {
+    return isCssColor(themeColor) && themeColor.toLowerCase() !== 'transparent'
+      ? check('theme_color', label, 'pass', themeColor)
+      : check('theme_color', label, 'fail', `"${themeColor}" is not a valid CSS color`);
+  }
+  if (color.a < 1) {
+    return check('theme_color', label, 'warn', `${themeColor} is (partly) transparent - browsers ignore the transparency`);
+  }
+  const { r, g, b } = color;
+  if ((r === 0 && g === 0 && b === 0) || (r === 255 && g === 255 && b === 255)) {
+    return check('theme_color', label, 'warn', `${themeColor} is pure ${r ? 'white' : 'black'} - often a template default`);
+  }
+  return check('theme_color', label, 'pass', themeColor);
+}
+
+export function auditSummary(summary) {
+  const { score, missing } = completeness(summary);
+  const scoreStatus = score >= SCORE_PASS ? 'pass' : score >= SCORE_WARN ? 'warn' : 'fail';
+
+  return {
+    score,
+    checks: [
+      check(
+        'completeness',
+        'Completeness',
+        scoreStatus,
+        missing.length ? `${score}% - missing ${missing.join(', ')}` : `${score}% - every field is filled in`
+      ),
+      lengthCheck('title', 'Title', valueOf(summary, 'title'), TITLE_RANGE),
+      lengthCheck('description', 'Description', valueOf(summary, 'description'), DESCRIPTION_RANGE),
+      imageCheck(valueOf(summary, 'image')),
+      faviconCheck(valueOf(summary, 'favicon')),
+      languageCheck(valueOf(summary, 'language')),
+      themeColorCheck(valueOf(summary, 'theme_color'))
+    ]
+  };
+}
+
+// Plain-text report for pasting into a review
+export function auditReport(summary, { score, checks }) {
+  const icons = { pass: 'PASS', warn: 'WARN', fail: 'FAIL' };
+  return [
+    `Metadata audit: ${summary.domain || summary.title || 'site'} - completeness ${score}%`,
+    ...checks.map(c => `[${icons[c.status]}] ${c.label}: ${c.message}`)
+  ].join('\n');
+}
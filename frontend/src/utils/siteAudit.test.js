@@ -0,0 +1,67 @@
+import { auditReport, auditSummary, completeness, parseColor } from './siteAudit';
+import { NEWS_SUMMARY } from '../mocks/fixtures';
+
+const statusOf = (summary, id) => auditSummary(summary).checks.find(c => c.id === id);
+
+describe('completeness', () => {
+  it('weights the fields and treats "Not specified" as missing', () => {
+    expect(completeness(NEWS_SUMMARY)).toEqual({ score: 95, missing: ['Author'] });
+    expect(completeness({})).toEqual(expect.objectContaining({ score: 0 }));
+  });
+});
+
+describe('auditSummary', () => {
+  it('passes a complete summary', () => {
+    const audit = auditSummary(NEWS_SUMMARY);
+    expect(audit.score).toBe(95);
+    expect(audit.checks.map(c => c.status)).toEqual(['pass', 'pass', 'pass', 'pass', 'pass', 'pass', 'pass']);
+  });
+
+  it('fails an empty summary', () => {
+    const audit = auditSummary({ author: 'Not specified' });
+    expect(audit.checks.find(c => c.id === 'completeness').status).toBe('fail');
+    expect(audit.checks.filter(c => c.status === 'fail').map(c => c.id))
+      .toEqual(['completeness', 'title', 'description', 'image', 'favicon', 'language']);
+    expect(statusOf({}, 'theme_color').status).toBe('warn');
+  });
+
+  it('flags title and description lengths outside the usual ranges', () => {
+    expect(statusOf({ title: 'Home' }, 'title')).toEqual(expect.objectContaining({ status: 'warn', message: expect.stringMatching(/shorter/) }));
+    expect(statusOf({ title: 'x'.repeat(61) }, 'title').message).toMatch(/longer than 60/);
+    expect(statusOf({ description: 'x'.repeat(161) }, 'description').status).toBe('warn');
+    expect(statusOf({ description: 'x'.repeat(160) }, 'description').status).toBe('pass');
+  });
+
+  it('checks og:image URLs and language codes', () => {
+    expect(statusOf({ image: '/og.png' }, 'image').status).toBe('warn');
+    expect(statusOf({ language: 'en-GB' }, 'language').status).toBe('pass');
+    expect(statusOf({ language: 'English' }, 'language').status).toBe('warn');
+  });
+
+  it('flags suspicious theme colors', () => {
+    expect(statusOf({ theme_color: '#1a73e8' }, 'theme_color').status).toBe('pass');
+    expect(statusOf({ theme_color: '#FFF' }, 'theme_color').message).toMatch(/pure white/);
+    expect(statusOf({ theme_color: 'rgb(0, 0, 0)' }, 'theme_color').message).toMatch(/pure black/);
+    expect(statusOf({ theme_color: '#ff660080' }, 'theme_color').status).toBe('warn');
+    expect(statusOf({ theme_color: '#ff66zz' }, 'theme_color').status).toBe('fail');
+    expect(statusOf({ theme_color: 'transparent' }, 'theme_color').status).toBe('fail');
+  });
+});
+
+describe('parseColor', () => {
+  it('reads hex and rgb() colors', () => {
+    expect(parseColor('#f60')).toEqual({ r: 255, g: 102, b: 0, a: 1 });
+    expect(parseColor('rgba(10, 20, 30, 0.5)')).toEqual({ r: 10, g: 20, b: 30, a: 0.5 });
+    expect(parseColor('rgb(300, 0, 0)')).toBeNull();
+    expect(parseColor('hsl(0 0% 0%)')).toBeNull();
+  });
+});
+
+describe('auditReport', () => {
+  it('lists every check as a plain-text line', () => {
+    const report = auditReport(NEWS_SUMMARY, auditSummary(NEWS_SUMMARY)).split('\n');
+    expect(report[0]).toBe('Metadata audit: news.example.com - completeness 95%');
+    expect(report).toContain('[PASS] Title: 43 characters');
+    expect(report).toHaveLength(8);
+  });
+});
@@ -0,0 +1,59 @@
+/*
+  Compare two scrape snapshots of the same site.
+
+  Stories are matched by link (or by title when the link is '#',
+  same rule as mergeStories) and reported as:
+    added   - only in the newer snapshot
+    removed - only in the older snapshot
+    changed - in both, but the title, snippet or category differs
+  The website summary is compared field by field (SUMMARY_FIELDS).
+*/
+
+import { storyKey } from './mergeStories';
+
+export const SUMMARY_FIELDS = ['title', 'description', 'keywords', 'theme_color'];
+
+const STORY_FIELDS = ['title', 'snippet', 'category'];
+
+// Map of key -> story (with its category), first occurrence wins
+function indexStories(data) {
+  const index = new Map();
+  Object.entries(data || {}).forEach(([category, stories]) => {
+    (stories || []).forEach(story => {
+      const key = storyKey(story);
+      if (!index.has(key)) index.set(key, { ...story, category });
+    });
+  });
+  return index;
+}
+
+export function diffSnapshots(older, newer) {
+  const before = indexStories(older?.data);
+  const after = indexStories(newer?.data);
+
+  const added = [...after].filter(([key]) => !before.has(key)).map(([, story]) => story);
+  const removed = [...before].filter(([key]) => !after.has(key)).map(([, story]) => story);
+
+  const changed = [...after]
+    .filter(([key]) => before.has(key))
+    .map(([key, story]) => {
+      const previous = before.get(key);
+      const fields = STORY_FIELDS.filter(field => (previous[field] || '') !== (story[field] || ''));
+      return { before: previous, after: story, fields };
+    })
+    .filter(change => change.fields.length > 0);
+
+  const summary = SUMMARY_FIELDS
+    .map(field => ({
+      field,
+      before: older?.websiteSummary?.[field] || '',
+      after: newer?.websiteSummary?.[field] || ''
+    }))
+    .filter(change => change.before !== change.after);
+
+  return { added, removed, changed, summary };
+}
+
+export function hasChanges(diff) {
+  return diff.added.length + diff.removed.length + diff.changed.length + diff.summary.length > 0;
+}
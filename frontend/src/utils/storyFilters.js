@@ -0,0 +1,101 @@
+/*
+  Search / filter / sort helpers for the category story lists.
+  Filters round-trip through the URL query string so a filtered view can be bookmarked:
+    ?q=react&hide=Jobs&hide=Other&source=GitHub&sort=title
+  (one hide= per category, so category names may contain commas)
+*/
+
+export const SORT_OPTIONS = {
+  default: 'Original order',
+  title: 'Title (A–Z)',
+  source: 'Source (A–Z)',
+  added: 'Newest first'
+};
+
+export const DEFAULT_FILTERS = { q: '', hidden: [], source: '', sort: 'default' };
+
+// Read filters from a query string like window.location.search
+export function filtersFromSearch(search) {
+  const params = new URLSearchParams(search);
+  const sort = params.get('sort');
+
+  return {
+    q: params.get('q') || '',
+    hidden: params.getAll('hide').filter(Boolean),
+    source: params.get('source') || '',
+    sort: SORT_OPTIONS[sort] ? sort : 'default'
+  };
+}
+
+// Write filters into a query string, leaving unrelated params untouched
+export function filtersToSearch(filters, search = '') {
+  const params = new URLSearchParams(search);
+  const set = (key, value) => (value ? params.set(key, value) : params.delete(key));
+
+  set('q', filters.q.trim());
+  params.delete('hide');
+  filters.hidden.forEach(category => params.append('hide', category));
+  set('source', filters.source);
+  set('sort', filters.sort !== 'default' ? filters.sort : '');
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+export function hasActiveFilters(filters) {
+  return Boolean(filters.q.trim() || filters.hidden.length || filters.source || filters.sort !== 'default');
+}
+
+// Case-insensitive match on title, snippet and company
+function matchesQuery(story, query) {
+  if (!query) return true;
+  return [story.title, story.snippet, story.company]
+    .some(field => field && field.toLowerCase().includes(query));
+}
+
+const compareText = (a = '', b = '') => a.localeCompare(b, undefined, { sensitivity: 'base' });
+
+const comparators = {
+  title: (a, b) => compareText(a.title, b.title),
+  source: (a, b) => compareText(a.company, b.company) || compareText(a.title, b.title),
+  // Stories saved before addedAt existed count as oldest
+  added: (a, b) => (b.addedAt || 0) - (a.addedAt || 0)
+};
+
+// Apply search + source filter + sort to one category's stories
+export function applyFilters(stories, filters) {
+  const query = filters.q.trim().toLowerCase();
+
+  const filtered = stories.filter(story =>
+    matchesQuery(story, query) && (!filters.source || story.company === filters.source)
+  );
+
+  const compare = comparators[filters.sort];
+  return compare ? [...filtered].sort(compare) : filtered;
+}
+
+// All distinct sources (company names) in a dataset, alphabetically
+export function collectSources(data) {
+  const sources = new Set();
+  Object.values(data).forEach(stories =>
+    (stories || []).forEach(story => story.company && sources.add(story.company))
+  );
+  return [...sources].sort(compareText);
+}
+
+// Text to match literally inside a RegExp (search, watchlist terms, keywords)
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/*
+  Split text into parts so matches of the query can be highlighted.
+  Returns [{ text, match }].
+*/
+export function highlightParts(text, query) {
+  const q = query.trim();
+  if (!text || !q) return [{ text: text || '', match: false }];
+
+  return text
+    .split(new RegExp(`(${escapeRegex(q)})`, 'gi'))
+    .filter(Boolean)
+    .map(part => ({ text: part, match: part.toLowerCase() === q.toLowerCase() }));
+}
@@ -0,0 +1,15 @@
+import { DEFAULT_FILTERS, filtersFromSearch, filtersToSearch } from './storyFilters';
+
+describe('filtersToSearch / filtersFromSearch', () => {
+  it('round-trips hidden categories whose names contain commas', () => {
+    const filters = { ...DEFAULT_FILTERS, q: 'react', hidden: ['Jobs', 'Rust, Go & C'] };
+    const search = filtersToSearch(filters, '?view=list&hide=Old');
+
+    expect(search).toBe('?view=list&q=react&hide=Jobs&hide=Rust%2C+Go+%26+C');
+    expect(filtersFromSearch(search)).toEqual(filters);
+  });
+
+  it('drops hide= params when nothing is hidden', () => {
+    expect(filtersToSearch(DEFAULT_FILTERS, '?hide=Jobs&hide=AI')).toBe('');
+  });
+});
@@ -0,0 +1,118 @@
+/*
+  URL helpers shared by single and batch scraping.
+
+  Every URL is validated and canonicalised before it reaches /scrape, so the
+  same site always maps to the same workspace key:
+    - https:// is added when no scheme is given, only http(s) is accepted
+    - the host must look like a real host (domain, localhost or IP address)
+    - scheme and host are lower-cased, default ports and #fragments dropped
+    - utm_* and click-id tracking params are removed, the rest sorted
+    - trailing slashes are removed from the path
+*/
+
+// Query params that only track the visitor and never change the page
+const TRACKING_PARAMS = /^(utm_[a-z_]+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|_ga|yclid)$/i;
+
+// Label of a domain name: letters/digits/hyphens, no leading/trailing hyphen
+const DOMAIN_LABEL = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i;
+
+export class InvalidUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidUrlError';
+  }
+}
+
+function isValidHost(hostname) {
+  if (hostname === 'localhost') return true;
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(hostname)) {
+    return hostname.split('.').every(part => Number(part) <= 255);
+  }
+  if (hostname.startsWith('[') && hostname.endsWith(']')) return true; // IPv6
+
+  const labels = hostname.split('.');
+  const tld = labels[labels.length - 1];
+  return labels.length >= 2
+    && labels.every(label => DOMAIN_LABEL.test(label))
+    && (/^[a-z]{2,}$/i.test(tld) || /^xn--[a-z0-9-]+$/i.test(tld));
+}
+
+/*
+  Validate and canonicalise user input.
+  Returns { url } on success or { error } with a message for the input field.
+*/
+export function parseScrapeUrl(input) {
+  const trimmed = (input || '').trim();
+  if (!trimmed) return { error: 'Please enter a URL' };
+
+  // Explicit scheme: "https://..." or things like "mailto:" / "javascript:"
+  const scheme = trimmed.match(/^([a-z][a-z0-9+.-]*):\/\//i)?.[1]
+    || trimmed.match(/^(mailto|javascript|data|file|tel|ftp|about|chrome):/i)?.[1];
+  if (scheme && !/^https?$/i.test(scheme)) {
+    return { error: `"${scheme}:" URLs can't be scraped. Use an http or https address.` };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(scheme ? trimmed : 'https://' + trimmed);
+  } catch (e) {
+    return { error: 'This doesn\'t look like a valid URL' };
+  }
+
+  if (!isValidHost(parsed.hostname)) {
+    return { error: `"${parsed.hostname}" is not a valid host name` };
+  }
+  if (parsed.username || parsed.password) {
+    return { error: 'URLs with a username or password are not supported' };
+  }
+
+  // Drop tracking params and sort the rest so param order doesn't matter
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+
+  const path = parsed.pathname.replace(/\/+$/, '');
+
+  return { url: `${parsed.protocol}//${parsed.host}${path}${query ? '?' + query : ''}` };
+}
+
+// Canonical URL for the input, throws InvalidUrlError when it isn't valid
+export function normalizeUrl(input) {
+  const { url, error } = parseScrapeUrl(input);
+  if (error) throw new InvalidUrlError(error);
+  return url;
+}
+
+// Column headers of an exported URL list - not entries
+const LIST_HEADER = /^(urls?|links?|sites?|websites?|domains?)$/i;
+
+/*
+  Pull URLs out of pasted text or an uploaded .txt/.csv list.
+  Accepts one URL per line, or comma/semicolon separated cells.
+  Every entry goes through the same validation as the single-URL input:
+  returns { urls, rejected } where urls are canonical and de-duplicated
+  (order kept) and rejected lists { token, error } for entries that
+  aren't valid. Header cells like "url" are skipped.
+*/
+export function parseUrlList(text) {
+  const seen = new Set();
+  const urls = [];
+  const rejected = [];
+
+  text
+    .split(/[\s,;]+/)
+    .map(token => token.replace(/^["']+|["']+$/g, '').trim())
+    .filter(token => token && !LIST_HEADER.test(token))
+    .forEach(token => {
+      const { url, error } = parseScrapeUrl(token);
+      if (error) {
+        rejected.push({ token, error });
+      } else if (!seen.has(url)) {
+        seen.add(url);
+        urls.push(url);
+      }
+    });
+
+  return { urls, rejected };
+}
@@ -0,0 +1,128 @@
+/*
+  Keyword watchlists - topics followed across every scraped site.
+
+  A watchlist is { id, name, terms: [{ type, pattern }] } where
+    type: 'keyword' (case-insensitive substring) or 'regex' (case-insensitive)
+  A story matches when any term is found in its title, snippet or company.
+
+  Every scrape that brings in data is matched against the watchlists; a
+  match is a hit, identified by watchlist + story so the same story is
+  only reported once per watchlist:
+    { id, watchlistId, siteUrl, story, terms, fields, foundAt, seen, dismissed }
+*/
+import { storyKey } from './mergeStories';
+import { validateRulePattern } from './categories';
+import { escapeRegex } from './storyFilters';
+
+export const WATCH_FIELDS = ['title', 'snippet', 'company'];
+export const TERM_TYPES = { keyword: 'Keyword', regex: 'Regex' };
+
+// Error message for a term, or null when it is usable (same rules as category rules)
+export const validateTerm = (term) => validateRulePattern(term.type, term.pattern);
+
+// Global, case-insensitive RegExp for a term (null for invalid terms)
+export function termRegex(term) {
+  if (validateTerm(term)) return null;
+  const source = term.type === 'regex' ? term.pattern.trim() : escapeRegex(term.pattern.trim());
+  return new RegExp(source, 'gi');
+}
+
+// Terms of a watchlist that match the story, and the fields they were found in
+export function matchStory(watchlist, story) {
+  const terms = [];
+  const fields = new Set();
+
+  watchlist.terms.forEach(term => {
+    const regex = termRegex(term);
+    if (!regex) return;
+    const found = WATCH_FIELDS.filter(field => {
+      regex.lastIndex = 0;
+      return story[field] && regex.test(story[field]);
+    });
+    if (found.length) {
+      terms.push(term);
+      found.forEach(field => fields.add(field));
+    }
+  });
+
+  return terms.length ? { terms, fields: WATCH_FIELDS.filter(f => fields.has(f)) } : null;
+}
+
+export const hitId = (watchlistId, story) => `${watchlistId}|${storyKey(story)}`;
+
+/*
+  Hits for categorized scrape data ({ [category]: stories }) from one site.
+  Stories in `knownIds` (hits reported earlier) are skipped.
+*/
+export function findHits(watchlists, siteUrl, data, knownIds = new Set(), foundAt = Date.now()) {
+  const hits = new Map();
+
+  Object.values(data || {}).forEach(stories => {
+    (stories || []).forEach(story => {
+      watchlists.forEach(watchlist => {
+        const id = hitId(watchlist.id, story);
+        if (knownIds.has(id) || hits.has(id)) return;
+        const match = matchStory(watchlist, story);
+        if (!match) return;
+        const { title, link, company, snippet } = story;
+        hits.set(id, {
+          id,
+          watchlistId: watchlist.id,
+          siteUrl,
+          story: { title, link, company, snippet },
+          terms: match.terms,
+          fields: match.fields,
+          foundAt,
+          seen: false,
+          dismissed: false
+        });
+      });
+    });
+  });
+
+  return [...hits.values()];
+}
+
+/*
+  Split text so every match of the terms can be highlighted.
+  Returns [{ text, match }]; overlapping matches are joined.
+*/
+export function termHighlightParts(text, terms) {
+  if (!text) return [{ text: '', match: false }];
+
+  const ranges = [];
+  terms.forEach(term => {
+    const regex = termRegex(term);
+    if (!regex) return;
+    let m;
+    while ((m = regex.exec(text)) !== null) {
+      if (m[0].length === 0) {
+        regex.lastIndex++; // empty matches (e.g. /x*/) would loop forever
+        continue;
+      }
+      ranges.push([m.index, m.index + m[0].length]);
+    }
+  });
+  if (!ranges.length) return [{ text, match: false }];
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [ranges[0]];
+  ranges.slice(1).forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  });
+
+  const parts = [];
+  let position = 0;
+  merged.forEach(([start, end]) => {
+    if (start > position) parts.push({ text: text.slice(position, start), match: false });
+    parts.push({ text: text.slice(start, end), match: true });
+    position = end;
+  });
+  if (position < text.length) parts.push({ text: text.slice(position), match: false });
+  return parts;
+}
+
+// Readable form of a term: keywords as typed, regexes between slashes
+export const formatTerm = (term) => (term.type === 'regex' ? `/${term.pattern}/` : term.pattern);
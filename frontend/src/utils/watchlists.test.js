@@ -0,0 +1,60 @@
+import { findHits, hitId, matchStory, termHighlightParts } from './watchlists';
+
+const REACT_JOBS = {
+  id: 1,
+  name: 'Remote React',
+  terms: [{ type: 'keyword', pattern: 'React' }, { type: 'regex', pattern: '\\bremote\\b' }]
+};
+
+const JOB = {
+  title: 'Senior React Developer (Remote)',
+  link: 'https://jobs.test/react',
+  company: 'Acme Corp',
+  snippet: 'Full-time, remote within the EU.'
+};
+
+describe('matchStory', () => {
+  it('reports the matching terms and the fields they were found in', () => {
+    expect(matchStory(REACT_JOBS, JOB)).toEqual({ terms: REACT_JOBS.terms, fields: ['title', 'snippet'] });
+    expect(matchStory(REACT_JOBS, { ...JOB, title: 'Vue Developer', snippet: 'On site' })).toBeNull();
+  });
+
+  it('matches the source and skips invalid regexes', () => {
+    const watchlist = { id: 2, name: 'Acme', terms: [{ type: 'regex', pattern: '(' }, { type: 'keyword', pattern: 'acme' }] };
+    expect(matchStory(watchlist, JOB).fields).toEqual(['company']);
+  });
+});
+
+describe('findHits', () => {
+  it('reports each story once per watchlist and skips known hits', () => {
+    const data = { Jobs: [JOB], Tech: [JOB, { ...JOB, link: 'https://jobs.test/other', title: 'Rust role' }] };
+    const hits = findHits([REACT_JOBS], 'https://jobs.test', data, new Set(), 42);
+
+    expect(hits).toHaveLength(2);
+    expect(hits[0]).toMatchObject({
+      id: hitId(1, JOB),
+      watchlistId: 1,
+      siteUrl: 'https://jobs.test',
+      story: JOB,
+      foundAt: 42,
+      seen: false,
+      dismissed: false
+    });
+    expect(findHits([REACT_JOBS], 'https://jobs.test', data, new Set([hitId(1, JOB)]))).toHaveLength(1);
+  });
+});
+
+describe('termHighlightParts', () => {
+  it('marks every match of every term, joining overlaps', () => {
+    const terms = [{ type: 'keyword', pattern: 'react' }, { type: 'keyword', pattern: 'act dev' }];
+    expect(termHighlightParts('Senior React Developer', terms)).toEqual([
+      { text: 'Senior ', match: false },
+      { text: 'React Dev', match: true },
+      { text: 'eloper', match: false }
+    ]);
+  });
+
+  it('copes with regexes that can match nothing', () => {
+    expect(termHighlightParts('abc', [{ type: 'regex', pattern: 'x*' }])).toEqual([{ text: 'abc', match: false }]);
+  });
+});